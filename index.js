@@ -1,17 +1,78 @@
+const util = require('util')
+const async = require('async')
 const App = require('./lib/app')
+const { changes } = require('./lib/diff')
+const plugins = require('./lib/plugins')
+const validate = require('./lib/schema')
 
 /**
  *
  * @param {string} root - root directory to discover
- * @param {function} done - c
+ * @param {object|boolean} [options] - discovery options, or `true` to watch
+ * @param {boolean|object} [options.watch] - watch for changes, optionally with { debounce }
+ * @param {string[]} [options.ignore] - gitignore style patterns to skip, relative to root
+ * @param {boolean} [options.diagnostics] - collect all errors in app.diagnostics
+ * @param {boolean} [options.strict] - treat warnings as errors
+ * @param {string} [options.cache] - file to keep parsed Noopfiles in between runs
+ * @param {string} [options.secrets] - .env style file of secret values for local development
+ * @param {string} [options.environment] - apply the overrides in Noopfile.<environment> files
+ * @param {discoverCallback} [done] - c, a promise is returned when omitted
+ * @returns {Promise<App>|undefined}
  */
-module.exports = (root, done) => {
-  const app = new App(root)
+function discover (root, options, done) {
+  if (typeof options === 'function') {
+    done = options
+    options = {}
+  }
+  if (!done) return util.promisify(discover)(root, options)
+  if (typeof options !== 'object' || options === null) {
+    options = { watch: !!options }
+  }
+  const app = new App(root, options)
   app.discover((err) => {
     if (err) return done(err)
+    if (options.watch) app.watch((typeof options.watch === 'object') ? options.watch : {})
     done(null, app)
   })
 }
+
+/**
+ * Compare two applications, each given as a root directory or a toJSON() snapshot
+ *
+ * @param {string|object} before
+ * @param {string|object} after
+ * @param {object} [options] - discovery options for directories
+ * @param {function} [done] - called with (err, changes), a promise is returned when omitted
+ * @returns {Promise<object[]>|undefined}
+ */
+function diff (before, after, options, done) {
+  if (typeof options === 'function') {
+    done = options
+    options = {}
+  }
+  if (!done) return util.promisify(diff)(before, after, options)
+  options = Object.assign({}, options, { watch: false })
+  async.map([before, after], (side, done) => {
+    if (typeof side !== 'string') return done(null, side)
+    discover(side, options, done)
+  }, (err, apps) => {
+    if (err) return done(err)
+    const [before, after] = apps.map((app) => (typeof app.toJSON === 'function') ? app.toJSON() : app)
+    done(null, changes(before, after))
+  })
+}
+
+module.exports = discover
+module.exports.discover = discover
+module.exports.diff = diff
+module.exports.validate = validate
+module.exports.schema = validate.schema
+module.exports.registerDirective = plugins.registerDirective
+module.exports.registerComponentType = plugins.registerComponentType
+module.exports.registerResourceType = plugins.registerResourceType
+module.exports.setConnectionNaming = plugins.setConnectionNaming
+module.exports.resetPlugins = plugins.reset
+
 /**
  * @callback discoverCallback
  * @param {Error}
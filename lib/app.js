@@ -1,27 +1,65 @@
 const path = require('path')
+const util = require('util')
 const async = require('async')
 const crypto = require('crypto')
 const fs = require('fs')
+const EventEmitter = require('events')
 const Manifest = require('./manifest')
+const Component = require('./component')
+const Resource = require('./resource')
+const Route = require('./route')
+const Condition = require('./condition')
+const Ignore = require('./ignore')
+const Watcher = require('./watcher')
+const Diagnostic = require('./diagnostic')
+const { locate } = Diagnostic
+const Cache = require('./cache')
+const diff = require('./diff')
+const compose = require('./compose')
+const secrets = require('./secrets')
+const validate = require('./schema')
+const plugins = require('./plugins')
 
-class Application {
-  constructor (rootPath) {
+class Application extends EventEmitter {
+  constructor (rootPath, options = {}) {
+    super()
     this.id = crypto.createHash('sha256').update(rootPath).digest('hex').substr(0, 8)
     this.rootPath = rootPath
+    this.options = options
     this.components = {}
     this.resources = {}
     this.routes = []
     this.manifests = []
     this.ignoreFiles = []
+    this.diagnostics = []
+    this.watcher = null
+    this.cache = new Cache(options.cache)
+    this.secrets = {}
   }
 
   discover (done) {
+    if (!done) return util.promisify(this.discover).call(this)
     async.auto({
-      findFiles: (done) => {
-        this.recursiveSearch(this.rootPath, done).then((files) => {
-          done(null, files)
+      loadPlugins: (done) => {
+        plugins.load(this.rootPath, done)
+      },
+      loadCache: (done) => {
+        this.cache.load(done)
+      },
+      loadSecrets: (done) => {
+        secrets.load(this.options.secrets, (err, values) => {
+          if (err) return done(err)
+          this.secrets = values
+          done()
         })
       },
+      findFiles: (done) => {
+        // leave the promise chain so errors thrown by later steps are not swallowed
+        this.recursiveSearch(this.rootPath).then(
+          (files) => process.nextTick(done, null, files),
+          (err) => process.nextTick(done, err)
+        )
+      },
       findManifests: ['findFiles', (results, done) => {
         async.filter(results.findFiles, (file, done) => {
           if (path.parse(file).base !== 'Noopfile') {
@@ -36,34 +74,144 @@ class Application {
           }
         })
       }],
-      parseManifests: ['findManifests', (results, done) => {
+      parseManifests: ['loadPlugins', 'loadCache', 'findManifests', (results, done) => {
         async.each(results.findManifests, (manifestFile, done) => {
           const manifest = new Manifest(manifestFile, this)
           this.manifests.push(manifest)
-          manifest.discover(done)
+          manifest.discover(this.collect(done))
         }, done)
       }],
       validateComponents: ['parseManifests', (results, done) => {
         async.each(this.components, (component, done) => {
-          component.validate(done)
+          component.validate(this.collect(done))
         }, done)
       }],
+      analyzeRoutes: ['validateComponents', (results, done) => {
+        this.analyzeRoutes(done)
+      }],
       validateResources: ['validateComponents', (results, done) => {
         async.each(this.resources, (resource, done) => {
-          resource.validate(done)
+          resource.validate(this.collect(done))
+        }, (err) => {
+          if (err) return done(err)
+          this.checkOverrides(done)
+        })
+      }],
+      analyzeConnections: ['validateResources', (results, done) => {
+        this.analyzeConnections(done)
+      }],
+      analyzeReferences: ['analyzeConnections', (results, done) => {
+        this.analyzeReferences(done)
+      }],
+      saveCache: ['analyzeRoutes', 'analyzeReferences', (results, done) => {
+        this.saveCache(done)
+      }]
+    }, (err) => {
+      if (err) return done(err)
+      done(null, this)
+    })
+  }
+
+  /**
+   * Re-parse only the Noopfiles that were added, removed or whose contents changed
+   *
+   * @param {function} [done] - called with (err, changes), a promise is returned when omitted
+   *   changes has manifests, components, resources and routes, each with added, removed and changed
+   */
+  refresh (done) {
+    if (!done) return util.promisify(this.refresh).call(this)
+    const before = this.toJSON()
+    const manifests = { added: [], removed: [], changed: [] }
+    async.auto({
+      findFiles: (done) => {
+        this.recursiveSearch(this.rootPath).then(
+          (files) => process.nextTick(done, null, files),
+          (err) => process.nextTick(done, err)
+        )
+      },
+      compare: ['findFiles', (results, done) => {
+        const files = results.findFiles.filter((file) => path.parse(file).base === 'Noopfile')
+        this.ignoreFiles = results.findFiles.filter((file) => path.parse(file).base !== 'Noopfile')
+        this.manifests.forEach((manifest) => {
+          if (files.indexOf(manifest.filePath) === -1) manifests.removed.push(manifest.filePath)
+        })
+        async.each(files, (file, done) => {
+          const known = this.manifests.find((manifest) => manifest.filePath === file)
+          if (!known) {
+            manifests.added.push(file)
+            return done()
+          }
+          const sources = [{ filePath: file, hash: known.hash }].concat(known.dependencies())
+          async.some(sources, (source, done) => {
+            fs.readFile(source.filePath, (err, data) => {
+              // a file that is still missing is unchanged
+              if (err && err.code === 'ENOENT') return done(null, source.hash !== null)
+              if (err) return done(err)
+              done(null, Cache.hash(data.toString()) !== source.hash)
+            })
+          }, (err, changed) => {
+            if (err) return done(err)
+            if (changed) manifests.changed.push(file)
+            done()
+          })
         }, done)
+      }],
+      update: ['compare', (results, done) => {
+        async.series([
+          (done) => async.eachSeries(manifests.removed, (file, done) => this.removeManifest(file, done), done),
+          (done) => async.eachSeries(manifests.added.concat(manifests.changed), (file, done) => this.reloadManifest(file, done), done)
+        ], (err) => done(err))
+      }],
+      saveCache: ['update', (results, done) => {
+        this.saveCache(done)
       }]
-    }, done)
+    }, (err) => {
+      if (err) return done(err)
+      Object.keys(manifests).forEach((kind) => {
+        manifests[kind] = manifests[kind].map((file) => file.substring(this.rootPath.length)).sort()
+      })
+      done(null, Object.assign({ manifests }, diff(before, this.toJSON())))
+    })
+  }
+
+  /**
+   * Describe how another application differs from this one
+   *
+   * @param {Application|object} other - application or toJSON() snapshot to compare against
+   * @returns {object[]} typed changes, see diff.changes
+   */
+  diff (other) {
+    return diff.changes(this.toJSON(), (typeof other.toJSON === 'function') ? other.toJSON() : other)
+  }
+
+  /**
+   * Describe the application as a docker-compose file for local development,
+   * with secret values from the options.secrets file
+   *
+   * @param {object} [options] - see compose
+   * @returns {object} compose file, serialize with format.yaml
+   */
+  compose (options) {
+    return compose(this.toJSON(), Object.assign({ secrets: this.secrets }, options))
+  }
+
+  saveCache (done) {
+    this.cache.prune(this.rootPath, this.manifests.map((manifest) => manifest.filePath))
+    this.cache.save(done)
   }
 
-  recursiveSearch (dir, done) {
-    return fs.promises.readdir(dir, { withFileTypes: true })
-      .then((files) => (
+  recursiveSearch (dir, ignore) {
+    ignore = ignore || new Ignore(this.rootPath, this.options.ignore)
+    return Promise.all([fs.promises.readdir(dir, { withFileTypes: true }), ignore.load(dir)])
+      .then(([files, ignore]) => (
         Promise.all(files.map((file) => {
-          if (file.isDirectory() && !(file.name === '.git' && dir === this.rootPath)) {
-            return this.recursiveSearch(path.resolve(dir, file.name), done)
-          } else if (file.name === 'Noopfile' || file.name === '.gitignore') {
-            return path.resolve(dir, file.name)
+          const filePath = path.resolve(dir, file.name)
+          if (ignore.ignores(filePath, file.isDirectory())) {
+            return false
+          } else if (file.isDirectory() && !(file.name === '.git' && dir === this.rootPath)) {
+            return this.recursiveSearch(filePath, ignore)
+          } else if (file.name === 'Noopfile' || Ignore.fileNames.indexOf(file.name) !== -1) {
+            return filePath
           } else {
             return false
           }
@@ -71,18 +219,184 @@ class Application {
       ))
       .then((foundFiles) => foundFiles.filter(Boolean))
       .then((filteredFiles) => [].concat.apply([], filteredFiles))
-      .catch((err) => done(err))
   }
 
   reload (done) {
+    if (!done) return util.promisify(this.reload).call(this)
     this.components = {}
     this.resources = {}
     this.routes = []
     this.manifests = []
+    this.diagnostics = []
     this.discover(done)
   }
 
-  simple () { // deprecated
+  reloadManifest (filePath, done) {
+    if (!done) return util.promisify(this.reloadManifest).call(this, filePath)
+    this.detachManifest(filePath)
+    const manifest = new Manifest(filePath, this)
+    this.manifests.push(manifest)
+    async.auto({
+      parseManifest: (done) => {
+        manifest.discover(this.collect(done))
+      },
+      validateComponents: ['parseManifest', (results, done) => {
+        async.each(manifest.components, (component, done) => {
+          component.validate(this.collect(done))
+        }, done)
+      }],
+      analyzeRoutes: ['validateComponents', (results, done) => {
+        this.analyzeRoutes(done)
+      }],
+      validateResources: ['validateComponents', (results, done) => {
+        this.revalidateResources(done)
+      }],
+      analyzeConnections: ['validateResources', (results, done) => {
+        this.analyzeConnections(done)
+      }],
+      analyzeReferences: ['analyzeConnections', (results, done) => {
+        this.analyzeReferences(done)
+      }]
+    }, done)
+  }
+
+  removeManifest (filePath, done) {
+    if (!done) return util.promisify(this.removeManifest).call(this, filePath)
+    this.detachManifest(filePath)
+    async.series([
+      (done) => this.analyzeRoutes(done),
+      (done) => this.revalidateResources(done),
+      (done) => this.analyzeConnections(done),
+      (done) => this.analyzeReferences(done)
+    ], (err) => done(err))
+  }
+
+  detachManifest (filePath) {
+    this.diagnostics = this.diagnostics.filter((diagnostic) => diagnostic.file !== filePath)
+    const manifest = this.manifests.find((manifest) => manifest.filePath === filePath)
+    if (!manifest) return false
+    this.manifests.splice(this.manifests.indexOf(manifest), 1)
+    manifest.components.forEach((component) => {
+      if (this.components[component.name] === component) delete this.components[component.name]
+    })
+    this.routes = this.routes.filter((route) => route.directive.file !== filePath)
+    Object.keys(this.resources).forEach((resourceName) => {
+      const resource = this.resources[resourceName]
+      resource.directives = resource.directives.filter((directive) => directive.file !== filePath)
+      if (!resource.directives.length) delete this.resources[resourceName]
+    })
+  }
+
+  revalidateResources (done) {
+    this.diagnostics = this.diagnostics.filter((diagnostic) => {
+      return diagnostic.source !== 'ResourceError' || diagnostic.code === 'resource-type-conflict'
+    })
+    async.each(this.resources, (resource, done) => {
+      const typed = resource.directives.find((directive) => directive.params.type)
+      resource.type = (typed) ? typed.params.type : null
+      resource.settings = {}
+      resource.validate(this.collect(done))
+    }, (err) => {
+      if (err) return done(err)
+      this.checkOverrides(done)
+    })
+  }
+
+  // resource overrides must name a declared resource
+  checkOverrides (done) {
+    this.runAnalysis(['unknown-override-resource'], () => {
+      const errors = []
+      this.manifests.filter((manifest) => manifest.overrides).forEach((manifest) => {
+        manifest.overrides.resources.filter((directive) => !this.resources[directive.params.name]).forEach((directive) => {
+          errors.push(new Manifest.ManifestError(`Override of unknown resource '${directive.params.name}'`, locate('unknown-override-resource', directive, directive.params.name)))
+        })
+      })
+      return { errors }
+    }, done)
+  }
+
+  // shadowed and overlapping routes are warnings unless running strict
+  analyzeRoutes (done) {
+    this.runAnalysis(['route-shadowed', 'route-overlap'], () => ({ warnings: Route.analyze(this.routes) }), done)
+  }
+
+  // once every resource has its type, as one may be declared in another Noopfile
+  analyzeConnections (done) {
+    this.runAnalysis(['connection-variable-conflict'], () => {
+      return { errors: [].concat(...Object.keys(this.components).map((name) => this.components[name].connect())) }
+    }, done)
+  }
+
+  // other components may be referenced, so every component is resolved again
+  analyzeReferences (done) {
+    this.runAnalysis(['undefined-reference', 'invalid-reference', 'reference-cycle', 'unsupported-reference'], () => {
+      return { errors: [].concat(...Object.keys(this.components).map((name) => this.components[name].interpolate())) }
+    }, done)
+  }
+
+  /**
+   * Run an analysis of the whole app, replacing the diagnostics it reported
+   * on an earlier run. In diagnostics mode everything found is reported,
+   * otherwise the first error aborts.
+   *
+   * @param {string[]} codes - diagnostic codes the analysis reports
+   * @param {function} analyze - returns { errors, warnings }, warnings are errors when running strict
+   * @param {function} done
+   */
+  runAnalysis (codes, analyze, done) {
+    this.diagnostics = this.diagnostics.filter((diagnostic) => codes.indexOf(diagnostic.code) === -1)
+    const { errors = [], warnings = [] } = analyze()
+    if (this.options.strict) {
+      errors.push(...warnings)
+    } else {
+      warnings.forEach((warning) => this.report(warning, 'warning'))
+    }
+    if (errors.length && this.options.diagnostics) {
+      errors.forEach((err) => this.report(err))
+      return done(null)
+    }
+    done((errors.length) ? errors[0] : null)
+  }
+
+  report (err, severity = 'error') {
+    if (err.errors) return err.errors.forEach((err) => this.report(err, severity))
+    const diagnostic = new Diagnostic(err, severity)
+    this.diagnostics.push(diagnostic)
+    return diagnostic
+  }
+
+  // in diagnostics mode errors are recorded instead of aborting discovery
+  collect (done) {
+    return (err, ...results) => {
+      if (err && this.options.diagnostics) {
+        this.report(err)
+        return done(null)
+      }
+      done(err, ...results)
+    }
+  }
+
+  matchRoute (method, requestPath, context) {
+    return Route.match(this.routes, method, requestPath, context)
+  }
+
+  watch (options) {
+    if (this.watcher) return this
+    this.watcher = new Watcher(this, options)
+    this.watcher.start()
+    return this
+  }
+
+  unwatch () {
+    if (this.watcher) this.watcher.stop()
+    this.watcher = null
+    return this
+  }
+
+  /**
+   * @deprecated use toJSON(), see "Migrating from simple()" in the README
+   */
+  simple () {
     return {
       Noopfiles: this.manifests.map((manifest) => {
         return manifest.filePath.substring(this.rootPath.length)
@@ -123,8 +437,15 @@ class Application {
     }
   }
 
+  /**
+   * The discovery model, described by schema/discovery.json
+   *
+   * @returns {object}
+   */
   toJSON () {
     return {
+      schemaVersion: validate.version,
+      environment: this.options.environment || null,
       noopfiles: this.manifests.map((manifest) => {
         return manifest.filePath.substring(this.rootPath.length)
       }),
@@ -138,7 +459,16 @@ class Application {
           rootPath: component.rootPath.substring(this.rootPath.length),
           resources: component.resources.map((resource) => { return resource.name }),
           declaration: `${component.directives[0].file}:${component.directives[0].lineNumber}`.substring(this.rootPath.length),
-          dockerfile: component.dockerfile
+          dockerfile: component.dockerfile,
+          connections: component.connections,
+          base: component.base,
+          assets: component.assets,
+          healthCheck: component.healthCheck,
+          dockerfileSource: (component.dockerfileSource) ? {
+            path: component.dockerfileSource.filePath.substring(this.rootPath.length),
+            target: component.dockerfileSource.target,
+            declaration: `${component.dockerfileSource.directive.file}:${component.dockerfileSource.directive.lineNumber}`.substring(this.rootPath.length)
+          } : null
         }
       }),
       resources: Object.keys(this.resources).map((resourceName) => {
@@ -147,6 +477,7 @@ class Application {
           name: resource.name,
           type: resource.type,
           settings: resource.settings,
+          base: resource.base,
           declarations: resource.directives.map((directive) => {
             return `${directive.file}:${directive.lineNumber}`.substring(this.rootPath.length)
           })
@@ -157,7 +488,7 @@ class Application {
           pattern: route.pattern,
           method: route.method,
           private: route.private,
-          condition: route.condition,
+          condition: (route.condition) ? route.condition.source : null,
           component: route.component.name,
           declaration: `${route.directive.file}:${route.directive.lineNumber}`.substring(this.rootPath.length)
         }
@@ -166,4 +497,77 @@ class Application {
   }
 }
 
+/**
+ * Rebuild an application from toJSON() output without the source tree
+ *
+ * @param {object|string} json - toJSON() output, or the same serialized
+ * @param {string} [rootPath] - path the declarations are resolved against
+ * @returns {Application}
+ */
+Application.fromJSON = (json, rootPath = '/') => {
+  const model = (typeof json === 'string') ? JSON.parse(json) : json
+  const errors = validate(model)
+  if (errors.length) {
+    const err = new TypeError(`Invalid application model: ${errors[0].path} ${errors[0].message}`)
+    err.errors = errors
+    throw err
+  }
+  const app = new Application(rootPath, { environment: model.environment || undefined })
+  const lookup = (collection, name, path) => {
+    if (app[collection][name]) return app[collection][name]
+    throw new TypeError(`Invalid application model: ${path} refers to unknown ${collection.replace(/s$/, '')} '${name}'`)
+  }
+  const declared = (cmd, declaration, params) => {
+    const [, file, line] = /^(.*):(\d+)$/.exec(declaration)
+    return { cmd, raw: cmd, file: rootPath + file, lineNumber: parseInt(line), params }
+  }
+  model.resources.forEach((json) => {
+    const resource = new Resource(json.name, app)
+    resource.type = json.type
+    resource.settings = json.settings
+    resource.base = json.base || null
+    resource.directives = json.declarations.map((declaration) => declared('RESOURCE', declaration, { name: json.name, type: json.type }))
+    app.resources[resource.name] = resource
+  })
+  model.components.forEach((json, position) => {
+    const directive = declared('COMPONENT', json.declaration, { name: json.name, type: json.type })
+    const component = new Component(app, [directive], rootPath + json.rootPath)
+    component.variables = json.variables
+    component.settings = json.settings
+    component.dockerfile = json.dockerfile
+    component.connections = json.connections || {}
+    component.base = json.base || null
+    component.assets = json.assets || []
+    if (json.dockerfileSource) {
+      const source = json.dockerfileSource
+      const directive = declared('DOCKERFILE', source.declaration, { path: source.path, target: source.target })
+      component.directives.push(directive)
+      component.dockerfileSource = { filePath: rootPath + source.path, target: source.target, directive, hash: null }
+    }
+    component.resources = json.resources.map((name, index) => lookup('resources', name, `/components/${position}/resources/${index}`))
+    app.components[component.name] = component
+  })
+  model.routes.forEach((json, index) => {
+    const directive = declared('ROUTE', json.declaration, {
+      pattern: json.pattern,
+      method: json.method,
+      private: json.private,
+      condition: (json.condition === null) ? null : Condition.parse(json.condition)
+    })
+    const component = lookup('components', json.component, `/routes/${index}/component`)
+    component.directives.push(directive)
+    Route.register(app, component, directive, (err) => {
+      if (err) throw err
+    })
+  })
+  app.manifests = model.noopfiles.map((noopfile) => {
+    const manifest = new Manifest(rootPath + noopfile, app)
+    manifest.components = Object.keys(app.components).map((name) => app.components[name]).filter((component) => {
+      return component.directives[0].file === manifest.filePath
+    })
+    return manifest
+  })
+  return app
+}
+
 module.exports = Application
@@ -0,0 +1,101 @@
+// Files served by static components. ASSETS patterns are gitignore style globs
+// relative to the component root: a pattern without a slash matches at any
+// depth, one ending in a slash matches everything below a directory and a
+// leading ! drops files matched by earlier patterns.
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const async = require('async')
+const Ignore = require('./ignore')
+
+/**
+ * Find the files each pattern matches
+ *
+ * @param {string} rootPath
+ * @param {string[]} patterns
+ * @param {Ignore} ignore - rules of the app root, files ignored by these or by
+ *   ignore files on the way down are left out
+ * @param {function} done - called with (err, matches), the paths relative to
+ *   rootPath each pattern matches, in pattern order
+ */
+function find (rootPath, patterns, ignore, done) {
+  const rules = patterns.map((pattern) => {
+    // blank patterns and comments match nothing
+    return Ignore.compile(rootPath, pattern.replace(/\/$/, '/**')) || { pattern, anchored: false, regex: /(?!)/ }
+  })
+  // only walk the directories patterns can match in
+  const bases = rules.map((rule) => path.resolve(rootPath, prefix(rule)))
+  async.mapSeries(bases.filter((base, index) => bases.indexOf(base) === index), (base, done) => {
+    inherit(ignore, base).then((ignore) => process.nextTick(() => {
+      if (ignore.ignores(base, true)) return done(null, [])
+      walk(base, ignore, done)
+    }), (err) => process.nextTick(done, err))
+  }, (err, found) => {
+    if (err) return done(err)
+    // walked directories may contain each other
+    const files = Array.from(new Set([].concat(...found))).map((file) => path.relative(rootPath, file).split(path.sep).join('/'))
+    done(null, rules.map((rule) => files.filter((file) => rule.regex.test(file)).sort()))
+  })
+}
+
+/**
+ * Describe files by size and content hash
+ *
+ * @param {string} rootPath
+ * @param {string[]} files - paths relative to rootPath
+ * @param {function} done - called with (err, assets) each { path, size, hash }
+ */
+function describe (rootPath, files, done) {
+  async.mapLimit(files, 8, (file, done) => {
+    const hash = crypto.createHash('sha256')
+    let size = 0
+    fs.createReadStream(path.resolve(rootPath, file))
+      .on('data', (chunk) => {
+        size += chunk.length
+        hash.update(chunk)
+      })
+      .on('error', done)
+      .on('end', () => done(null, { path: file, size, hash: hash.digest('hex') }))
+  }, done)
+}
+
+// directories before the first wildcard of an anchored pattern
+function prefix (rule) {
+  const pattern = rule.pattern.replace(/^!/, '').replace(/^\//, '')
+  if (!rule.anchored) return ''
+  const segments = pattern.split('/').slice(0, -1)
+  const wildcard = segments.findIndex((segment) => /[*?[\\]/.test(segment))
+  return (wildcard === -1) ? segments.join('/') : segments.slice(0, wildcard).join('/')
+}
+
+// the rules of the ignore files in the directories above dir
+function inherit (ignore, dir) {
+  const relative = path.relative(ignore.rootPath, dir)
+  if (!relative || /^\.\.([/\\]|$)/.test(relative)) return Promise.resolve(ignore)
+  const segments = relative.split(path.sep)
+  const dirs = segments.map((segment, index) => path.join(ignore.rootPath, ...segments.slice(0, index)))
+  return dirs.reduce((loaded, dir) => loaded.then((ignore) => ignore.load(dir)), Promise.resolve(ignore))
+}
+
+// every file below dir that is not ignored, nothing when dir does not exist.
+// .git and the ignore files themselves are never assets
+function walk (dir, ignore, done) {
+  fs.readdir(dir, { withFileTypes: true }, (err, entries) => {
+    if (err && (err.code === 'ENOENT' || err.code === 'ENOTDIR')) return done(null, [])
+    if (err) return done(err)
+    ignore.load(dir).then((ignore) => process.nextTick(() => {
+      async.mapSeries(entries, (entry, done) => {
+        const filePath = path.resolve(dir, entry.name)
+        const skipped = entry.name === '.git' || Ignore.fileNames.indexOf(entry.name) !== -1
+        if (skipped || ignore.ignores(filePath, entry.isDirectory())) return done(null, [])
+        if (entry.isDirectory()) return walk(filePath, ignore, done)
+        done(null, (entry.isFile()) ? [filePath] : [])
+      }, (err, found) => done(err, err ? null : [].concat(...found)))
+    }), (err) => process.nextTick(done, err))
+  })
+}
+
+module.exports = {
+  find,
+  describe
+}
@@ -0,0 +1,57 @@
+const fs = require('fs')
+const crypto = require('crypto')
+
+// bump when the shape of cached entries changes so stale caches are rebuilt
+const version = 2
+
+/**
+ * Parsed Noopfile directives keyed by path and content hash, optionally kept on disk
+ */
+class Cache {
+  constructor (filePath) {
+    this.filePath = filePath || null
+    this.entries = {}
+  }
+
+  load (done) {
+    if (!this.filePath) return done(null, this)
+    fs.readFile(this.filePath, (err, data) => {
+      if (err && err.code === 'ENOENT') return done(null, this)
+      if (err) return done(err)
+      let cached
+      try {
+        cached = JSON.parse(data.toString())
+      } catch (err) {
+        // an unreadable cache is rebuilt rather than failing discovery
+        return done(null, this)
+      }
+      if (cached.version === version) this.entries = cached.entries || {}
+      done(null, this)
+    })
+  }
+
+  save (done) {
+    if (!this.filePath) return done(null)
+    fs.writeFile(this.filePath, JSON.stringify({ version, entries: this.entries }), done)
+  }
+
+  get (filePath, hash) {
+    const entry = this.entries[filePath]
+    return (entry && entry.hash === hash) ? entry.directives : null
+  }
+
+  set (filePath, hash, directives) {
+    this.entries[filePath] = { hash, directives }
+  }
+
+  // drop entries under rootPath for manifests that no longer exist
+  prune (rootPath, filePaths) {
+    Object.keys(this.entries).forEach((filePath) => {
+      if (filePath.indexOf(rootPath) === 0 && filePaths.indexOf(filePath) === -1) delete this.entries[filePath]
+    })
+  }
+}
+
+Cache.hash = (contents) => crypto.createHash('sha256').update(contents).digest('hex')
+
+module.exports = Cache
@@ -0,0 +1,223 @@
+const fs = require('fs')
+const path = require('path')
+const minimist = require('minimist')
+const format = require('./format')
+const diff = require('./diff')
+const schedule = require('./schedule')
+const Application = require('./app')
+
+const usage = `Usage: noop-discovery <command> [options] [root]
+
+Commands:
+  validate                  report errors and warnings, exits non-zero on errors
+  inspect                   print the discovered application model
+  routes                    print the route table in precedence order
+  components                print discovered components
+  resources                 print discovered resources
+  dockerfile <component>    print the generated Dockerfile for a component
+  diff <before>             print what changed since <before>, a directory or inspect json
+  compose                   print a docker-compose file for running the app locally
+  schedule                  print when task components run
+
+Options:
+  -f, --format <format>     json, yaml or table
+  -s, --strict              treat warnings as errors
+  -c, --cache <file>        reuse parsed Noopfiles from a cache file
+  -e, --environment <name>  apply the overrides in Noopfile.<name> files
+  -p, --port <port>         first host port compose publishes components on
+  -n, --count <count>       number of upcoming runs schedule prints, 3 by default
+  --secrets <file>          read secret values for compose from a .env style file
+  -h, --help                show this message
+`
+
+const commands = {
+  validate: {
+    options: { diagnostics: true },
+    run: (app, args, out) => {
+      const cwd = process.cwd()
+      app.diagnostics.forEach((diagnostic) => {
+        const location = [diagnostic.file && path.relative(cwd, diagnostic.file), diagnostic.line, diagnostic.column].filter(Boolean).join(':')
+        out.stderr.write(`${location ? location + ': ' : ''}${diagnostic.severity} ${diagnostic.code} ${diagnostic.message}\n`)
+      })
+      const errors = app.diagnostics.filter((diagnostic) => diagnostic.severity === 'error').length
+      const warnings = app.diagnostics.length - errors
+      out.stdout.write(`${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}\n`)
+      return (errors) ? 1 : 0
+    }
+  },
+  inspect: {
+    format: 'json',
+    run: (app, args, out) => {
+      const model = app.toJSON()
+      if (args.format !== 'table') return print(model, args.format, null, out)
+      out.stdout.write('Components\n' + format.table(model.components, componentColumns) + '\n')
+      out.stdout.write('Resources\n' + format.table(model.resources, resourceColumns) + '\n')
+      out.stdout.write('Routes\n' + format.table(model.routes, routeColumns))
+      return 0
+    }
+  },
+  routes: {
+    run: (app, args, out) => print(app.toJSON().routes, args.format, routeColumns, out)
+  },
+  components: {
+    run: (app, args, out) => print(app.toJSON().components, args.format, componentColumns, out)
+  },
+  resources: {
+    run: (app, args, out) => print(app.toJSON().resources, args.format, resourceColumns, out)
+  },
+  dockerfile: {
+    operands: 1,
+    run: (app, args, out) => {
+      const name = args._[0]
+      const component = app.components[name]
+      if (!component) {
+        out.stderr.write(`Unknown component '${name}'\n`)
+        return 1
+      }
+      out.stdout.write(component.dockerfile)
+      return 0
+    }
+  },
+  diff: {
+    operands: 1,
+    run: (app, args, out) => {
+      const before = path.resolve(args._[0])
+      return snapshot(before, app.options).then((snapshot) => {
+        return print(diff.changes(snapshot, app.toJSON()), args.format, changeColumns, out)
+      })
+    }
+  },
+  compose: {
+    format: 'yaml',
+    run: (app, args, out) => {
+      const port = (args.port === undefined) ? undefined : parseInt(args.port)
+      const file = app.compose({ port })
+      // a compose file has no table form
+      return print(file, (args.format === 'json') ? 'json' : 'yaml', null, out)
+    }
+  },
+  schedule: {
+    run: (app, args, out) => {
+      const count = (args.count === undefined) ? 3 : parseInt(args.count)
+      const tasks = Object.keys(app.components).sort().map((name) => app.components[name]).filter((component) => component.type === 'task')
+      const rows = tasks.map((component) => {
+        const cron = component.settings.cron
+        return {
+          name: component.name,
+          schedule: (cron) ? schedule.pattern(cron) : null,
+          timezone: (cron) ? cron.timezone || 'UTC' : null,
+          description: (cron) ? cron.description : null,
+          lifecycles: component.settings.lifecycles || [],
+          nextRuns: component.nextRuns(count).map((date) => date.toISOString())
+        }
+      })
+      return print(rows, args.format, scheduleColumns, out)
+    }
+  }
+}
+
+// a directory is discovered, anything else is read as `inspect --format json` output
+function snapshot (before, options) {
+  return fs.promises.stat(before).then((stats) => {
+    if (stats.isDirectory()) {
+      return new Application(before + '/', options).discover().then((app) => app.toJSON())
+    }
+    return fs.promises.readFile(before).then((data) => JSON.parse(data.toString()))
+  })
+}
+
+const routeColumns = [
+  { key: 'pattern', title: 'PATTERN' },
+  { key: 'method', title: 'METHOD' },
+  { key: 'private', title: 'PRIVATE' },
+  { key: 'component', title: 'COMPONENT' },
+  { key: 'declaration', title: 'DECLARATION' }
+]
+
+const componentColumns = [
+  { key: 'name', title: 'NAME' },
+  { key: 'type', title: 'TYPE' },
+  { key: 'rootPath', title: 'ROOT' },
+  { key: 'resources', title: 'RESOURCES' },
+  { key: 'declaration', title: 'DECLARATION' }
+]
+
+const resourceColumns = [
+  { key: 'name', title: 'NAME' },
+  { key: 'type', title: 'TYPE' },
+  { key: 'settings', title: 'SETTINGS' },
+  { key: 'declarations', title: 'DECLARATIONS' }
+]
+
+const scheduleColumns = [
+  { key: 'name', title: 'NAME' },
+  { key: 'schedule', title: 'SCHEDULE' },
+  { key: 'description', title: 'DESCRIPTION' },
+  { key: 'lifecycles', title: 'LIFECYCLES' },
+  { key: 'nextRuns', title: 'NEXT RUNS' }
+]
+
+const changeColumns = [
+  { key: 'type', title: 'TYPE' },
+  { key: 'message', title: 'CHANGE' }
+]
+
+function print (data, type, columns, out) {
+  if (type === 'json') {
+    out.stdout.write(JSON.stringify(data, null, 2) + '\n')
+  } else if (type === 'yaml') {
+    out.stdout.write(format.yaml(data))
+  } else {
+    out.stdout.write(format.table(data, columns))
+  }
+  return 0
+}
+
+/**
+ * Run the command line interface
+ *
+ * @param {string[]} argv - arguments without the node and script paths
+ * @param {object} [out] - { stdout, stderr } streams
+ * @returns {Promise<number>} exit code
+ */
+function run (argv, out = process) {
+  const args = minimist(argv, {
+    string: ['format', 'cache', 'port', 'secrets', 'environment', 'count'],
+    boolean: ['strict', 'help'],
+    alias: { format: 'f', strict: 's', cache: 'c', environment: 'e', port: 'p', count: 'n', help: 'h' }
+  })
+  const name = args._.shift()
+  const command = commands[name]
+  if (args.help || !name) {
+    out.stdout.write(usage)
+    return Promise.resolve(0)
+  }
+  if (!command) {
+    out.stderr.write(`Unknown command '${name}'\n\n${usage}`)
+    return Promise.resolve(2)
+  }
+  if (args._.length < (command.operands || 0)) {
+    out.stderr.write(`Missing arguments for '${name}'\n\n${usage}`)
+    return Promise.resolve(2)
+  }
+  args.format = args.format || command.format || 'table'
+  if (['json', 'yaml', 'table'].indexOf(args.format) === -1) {
+    out.stderr.write(`Unknown format '${args.format}'\n`)
+    return Promise.resolve(2)
+  }
+  const root = path.resolve(args._[command.operands || 0] || '.') + '/'
+  const cache = args.cache && path.resolve(args.cache)
+  const secrets = args.secrets && path.resolve(args.secrets)
+  const options = { strict: args.strict, cache, secrets, environment: args.environment }
+  const app = new Application(root, Object.assign(options, command.options))
+  return app.discover()
+    .then(() => command.run(app, args, out))
+    .catch((err) => {
+      out.stderr.write(`${err.message}\n`)
+      return 1
+    })
+}
+
+module.exports = {
+  run
+}
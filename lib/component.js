@@ -1,10 +1,23 @@
+const path = require('path')
+const util = require('util')
 const async = require('async')
 
 const Route = require('./route')
 const Resource = require('./resource')
+const Dockerfile = require('./dockerfile')
+const interpolate = require('./interpolate')
+const secrets = require('./secrets')
+const schedule = require('./schedule')
+const Assets = require('./assets')
+const Ignore = require('./ignore')
+const healthcheck = require('./healthcheck')
+const { LocatedError, locate } = require('./diagnostic')
 
 const types = {
   service: {
+    settings: {
+      port: 80
+    },
     allowedDirectives: [
       'ROUTE',
       'RESOURCE',
@@ -21,7 +34,14 @@ const types = {
       'USER',
       'CPU',
       'MEMORY',
-      'HEALTHCHECK'
+      'HEALTHCHECK',
+      'ARG',
+      'LABEL',
+      'SHELL',
+      'VOLUME',
+      'STOPSIGNAL',
+      'ONBUILD',
+      'DOCKERFILE'
     ]
   },
   task: {
@@ -39,7 +59,14 @@ const types = {
       'CMD',
       'USER',
       'CPU',
-      'MEMORY'
+      'MEMORY',
+      'ARG',
+      'LABEL',
+      'SHELL',
+      'VOLUME',
+      'STOPSIGNAL',
+      'ONBUILD',
+      'DOCKERFILE'
     ]
   },
   static: {
@@ -52,18 +79,60 @@ const types = {
       'WORKDIR',
       'ENTRYPOINT',
       'USER',
-      'ASSETS'
+      'STATIC',
+      'ASSETS',
+      'ARG',
+      'LABEL',
+      'SHELL',
+      'VOLUME',
+      'STOPSIGNAL',
+      'ONBUILD',
+      'DOCKERFILE'
     ]
   }
 }
 
-class ComponentError extends Error {
-  constructor (...args) {
-    super(...args)
-    this.name = 'ComponentError'
+// Dockerfile instructions Noop reads as well, these may be combined with DOCKERFILE
+const noopInstructions = ['ENV', 'EXPOSE']
+
+// settings extraction per directive, called in declaration order
+const settingsExtractors = {
+  EXPOSE: (settings, directive) => {
+    settings.port = directive.params.port
+  },
+  LIFECYCLE: (settings, directive) => {
+    if (!settings.lifecycles) settings.lifecycles = []
+    settings.lifecycles.push(directive.params.lifecycle)
+  },
+  HEALTHCHECK: (settings, directive) => {
+    settings.healthCheckType = directive.params.checkType
+    const check = new RegExp(`\\s${directive.params.checkType}\\s+(.*)$`).exec(directive.raw)
+    settings.healthCheck = (check) ? check[1] : ''
+    if (directive.params.interval) settings.healthCheckInterval = directive.params.interval
+    if (directive.params.timeout) settings.healthCheckTimeout = directive.params.timeout
+    if (directive.params.retries) settings.healthCheckRetries = directive.params.retries
+    if (directive.params.startPeriod) settings.healthCheckStartPeriod = directive.params.startPeriod
+    if (directive.params.method) settings.healthCheckMethod = directive.params.method
+    if (directive.params.status) settings.healthCheckStatus = directive.params.status
+  },
+  CRON: (settings, directive) => {
+    settings.cron = Object.assign({}, directive.params, { description: schedule.describe(directive.params) })
+  },
+  CPU: (settings, directive) => {
+    settings.cpu = parseFloat(directive.params.units)
+  },
+  MEMORY: (settings, directive) => {
+    settings.memory = parseInt(directive.params.units)
+  },
+  STATIC: (settings, directive) => {
+    settings.contentDirectory = directive.params.contentDirectory
+    if (directive.params.fallback) settings.fallback = directive.params.fallback
+    if (directive.params.cacheControl) settings.cacheControl = directive.params.cacheControl
   }
 }
 
+class ComponentError extends LocatedError {}
+
 class Component {
   constructor (app, directives, rootPath) {
     this.app = app
@@ -74,54 +143,88 @@ class Component {
     this.variables = {}
     this.routes = []
     this.resources = []
-    this.dockerfile = generateDockerfile(directives)
-    this.settings = {}
-    if (this.type === 'service') {
-      this.settings.port = 80
-    }
+    this.dockerfile = Dockerfile.generate(directives)
+    this.dockerfileSource = null
+    this.connections = {}
+    this.assets = []
+    this.settings = Object.assign({}, (types[this.type] || {}).settings)
+    this.overrides = []
+    this.base = null
   }
 
   validate (done) {
+    if (!done) return util.promisify(this.validate).call(this)
+    if (!types[this.type]) {
+      const directive = this.directives[0]
+      return done(new ComponentError(`Unknown component type '${this.type}'`, locate('unknown-component-type', directive)))
+    }
+    const errors = []
+    const warnings = []
     this.directives.filter((directive) => {
       return (directive.cmd === 'ENV')
     }).forEach((directive) => {
-      this.variables[directive.params.key] = {
-        default: directive.params.defaultValue,
-        secret: directive.params.secret
-      }
+      const { variable, warning } = declare(directive, directive.params.secret)
+      this.variables[directive.params.key] = variable
+      if (warning) warnings.push(warning)
     })
-    const errors = []
     this.directives.forEach((directive) => {
-      if (directive.cmd === 'EXPOSE') this.settings.port = directive.params.port
-      if (directive.cmd === 'LIFECYCLE') {
-        if (!this.settings.lifecycles) this.settings.lifecycles = []
-        this.settings.lifecycles.push(directive.params.lifecycle)
+      if (settingsExtractors[directive.cmd]) {
+        settingsExtractors[directive.cmd](this.settings, directive, this)
       }
-      if (directive.cmd === 'HEALTHCHECK') {
-        this.settings.healthCheckType = directive.params.checkType
-        const checkerIndex = directive.args.indexOf(directive.params.checkType)
-        this.settings.healthCheck = directive.args.slice(checkerIndex + 1).join(' ')
-        if (directive.params.interval) this.settings.healthCheckInterval = directive.params.interval
-        if (directive.params.timeout) this.settings.healthCheckTimeout = directive.params.timeout
-        if (directive.params.retries) this.settings.healthCheckRetries = directive.params.retries
-      }
-      if (directive.cmd === 'CRON') this.settings.cron = directive.params
-      if (directive.cmd === 'CPU') this.settings.cpu = parseFloat(directive.params.units)
-      if (directive.cmd === 'MEMORY') this.settings.memory = parseInt(directive.params.units)
-      if (directive.cmd === 'STATIC') this.settings.contentDirectory = directive.params.contentDirectory
       if (types[this.type].allowedDirectives.indexOf(directive.cmd) === -1) {
         if (directive.cmd === 'COMPONENT') return false
-        errors.push(new ComponentError(`Directive '${directive.cmd}' not supported for ${this.type} components [${directive.file}:${directive.lineNumber}]`))
+        errors.push(new ComponentError(`Directive '${directive.cmd}' not supported for ${this.type} components`, locate('unsupported-directive', directive)))
       }
     })
-    if (errors.length) return done(errors[0])
+    errors.push(...this.checkHealth())
+    const cron = this.directives.filter((directive) => directive.cmd === 'CRON').pop()
+    if (cron && this.settings.cron && !schedule.next(this.settings.cron).length) {
+      warnings.push(new ComponentError(`Schedule '${schedule.pattern(this.settings.cron)}' of component '${this.name}' never runs`, locate('schedule-never-runs', cron)))
+    }
+    // with an environment the values before its overrides are kept as base
+    this.base = null
+    if (this.app.options.environment) {
+      this.base = JSON.parse(JSON.stringify({ settings: this.settings, variables: this.variables }))
+      this.overrides.forEach((directive) => {
+        if (directive.cmd !== 'ENV') return settingsExtractors[directive.cmd](this.settings, directive, this)
+        const key = directive.params.key
+        if (!this.variables[key]) {
+          return errors.push(new ComponentError(`Component '${this.name}' has no variable '${key}' to override`, locate('unknown-override-variable', directive, key)))
+        }
+        const { variable, warning } = declare(directive, this.variables[key].secret || directive.params.secret)
+        this.variables[key] = variable
+        if (warning) warnings.push(warning)
+      })
+    }
+    if (this.app.options.strict) {
+      errors.push(...warnings)
+    } else {
+      warnings.forEach((warning) => this.app.report(warning, 'warning'))
+    }
+    if (errors.length && !this.app.options.diagnostics) return done(errors[0])
+    errors.forEach((err) => this.app.report(err))
     async.auto({
+      instructions: (done) => {
+        this.loadDockerfile(this.app.collect(done))
+      },
+      dockerfile: ['instructions', (results, done) => {
+        if (!results.instructions) return done()
+        Dockerfile.validate(results.instructions, this.rootPath, (err, errors) => {
+          if (err || !errors.length) return done(err)
+          if (!this.app.options.diagnostics) return done(errors[0])
+          errors.forEach((err) => this.app.report(err))
+          done()
+        })
+      }],
+      assets: (done) => {
+        this.loadAssets(done)
+      },
       routes: (done) => {
         const routeDirectives = this.directives.filter((directive) => {
           return (directive.cmd === 'ROUTE')
         })
         async.map(routeDirectives, (directive, done) => {
-          Route.register(this.app, this, directive, done)
+          Route.register(this.app, this, directive, this.app.collect(done))
         }, done)
       },
       resources: (done) => {
@@ -129,55 +232,275 @@ class Component {
           return (directive.cmd === 'RESOURCE')
         })
         async.map(resourceDirectives, (directive, done) => {
-          Resource.register(this, directive, done)
+          Resource.register(this, directive, this.app.collect(done))
         }, done)
       }
     }, (err, results) => {
       if (err) return done(err)
-      this.routes = results.routes
-      this.resources = results.resources
+      this.routes = results.routes.filter(Boolean)
+      this.resources = results.resources.filter(Boolean)
+      const warning = this.checkHealthRoute()
+      if (warning && this.app.options.strict && !this.app.options.diagnostics) return done(warning)
+      if (warning) this.app.report(warning, (this.app.options.strict) ? 'error' : 'warning')
       done(null)
     })
   }
+
+  /**
+   * The structured HEALTHCHECK, see healthcheck.model
+   *
+   * @returns {object|null}
+   */
+  get healthCheck () {
+    return healthcheck.model(this.settings)
+  }
+
+  // HTTP checks need a path and timeouts must be shorter than the interval
+  checkHealth () {
+    const directive = this.directives.filter((directive) => directive.cmd === 'HEALTHCHECK').pop()
+    const check = this.healthCheck
+    if (!directive || !check) return []
+    const fail = (message, code, value) => [new ComponentError(message, locate(code, directive, value))]
+    if (check.type === 'HTTP' && !check.path) return fail(`HTTP health check of component '${this.name}' needs a path`, 'missing-health-check-path')
+    // paths with ${...} references are checked once resolved
+    if (check.type === 'HTTP' && check.path[0] !== '/' && check.path.indexOf('${') !== 0) {
+      return fail(`Health check path '${check.path}' must start with /`, 'invalid-health-check-path', check.path)
+    }
+    if (check.type === 'CMD' && !check.command[0]) return fail(`Health check of component '${this.name}' needs a command`, 'missing-health-check-command')
+    // Docker checks every 30 seconds unless told otherwise
+    const interval = (check.interval === null) ? 30 : check.interval
+    if (check.timeout !== null && check.timeout >= interval) {
+      return fail(`Health check timeout ${check.timeout}s must be less than the interval ${interval}s`, 'invalid-health-check-timeout', String(this.settings.healthCheckTimeout))
+    }
+    return []
+  }
+
+  // HTTP checks should request a path one of the component's routes serves
+  checkHealthRoute () {
+    const directive = this.directives.filter((directive) => directive.cmd === 'HEALTHCHECK').pop()
+    const check = this.healthCheck
+    if (!check || check.type !== 'HTTP' || !check.path || check.path[0] !== '/' || /\$\{/.test(check.path)) return null
+    const served = this.routes.some((route) => route.matcher.exec(check.path) && (route.method === 'ALL' || route.method === check.method))
+    if (served) return null
+    return new ComponentError(`Health check ${check.method} ${check.path} of component '${this.name}' is not served by any of its routes`, locate('unrouted-health-check', directive, check.path))
+  }
+
+  /**
+   * Collect the variables injected by the resources this component uses
+   *
+   * @returns {ComponentError[]} variables injected twice or also declared with ENV
+   */
+  connect () {
+    const errors = []
+    const declared = {}
+    const resourceDirectives = this.directives.filter((directive) => directive.cmd === 'RESOURCE')
+    this.directives.filter((directive) => directive.cmd === 'ENV').forEach((directive) => {
+      declared[directive.params.key] = directive
+    })
+    this.connections = {}
+    this.resources.forEach((resource) => {
+      const directive = resourceDirectives.find((directive) => directive.params.name === resource.name)
+      const variables = resource.connection()
+      Object.keys(variables).forEach((name) => {
+        const previous = declared[name]
+        if (previous) {
+          const source = (previous.cmd === 'ENV') ? 'declared with ENV' : `injected by resource '${previous.params.name}'`
+          errors.push(new ComponentError(`Resource '${resource.name}' injects '${name}' into component '${this.name}', already ${source}`, Object.assign(locate('connection-variable-conflict', directive), {
+            related: [{ file: previous.file, line: previous.lineNumber }]
+          })))
+          return false
+        }
+        declared[name] = directive
+        this.connections[name] = variables[name]
+      })
+    })
+    return errors
+  }
+
+  /**
+   * Resolve ${...} references once all components and resources are known.
+   * ENV keys Docker cannot set at build time are left out of the generated
+   * Dockerfile and injected when the component runs.
+   *
+   * @returns {InterpolationError[]} undefined, unsupported and cyclic references
+   */
+  interpolate () {
+    const check = this.directives.filter((directive) => directive.cmd === 'HEALTHCHECK').pop()
+    if (check) settingsExtractors.HEALTHCHECK(this.settings, check)
+    if (check && this.base) settingsExtractors.HEALTHCHECK(this.base.settings, check)
+    // the Dockerfile is the same in every environment, overrides are injected when running
+    const { errors, runtime } = interpolate.resolve(this, this.base || this)
+    if (this.base) {
+      const overridden = interpolate.resolve(this, this, this.overrides).errors
+      errors.push(...overridden.filter((err) => this.overrides.some((directive) => directive.file === err.file && directive.lineNumber === err.line)))
+    }
+    if (!this.dockerfileSource) {
+      this.dockerfile = Dockerfile.generate(this.directives.filter((directive) => {
+        return directive.cmd !== 'ENV' || runtime.indexOf(directive.params.key) === -1
+      }), this.healthCheck)
+    } else if (this.healthCheck) {
+      // the last HEALTHCHECK wins, so this one replaces any in the file
+      this.dockerfile = this.dockerfileSource.contents + healthcheck.instruction(this.healthCheck) + '\n'
+    }
+    return errors
+  }
+
+  /**
+   * The next times the CRON schedule of a task fires
+   *
+   * @param {number} [count]
+   * @param {Date} [from] - only times after this one, now by default
+   * @returns {Date[]} empty without a schedule
+   */
+  nextRuns (count = 1, from = new Date()) {
+    if (!this.settings.cron) return []
+    return schedule.next(this.settings.cron, count, from)
+  }
+
+  /**
+   * Resolve the ASSETS patterns of a static component against its root, all
+   * files in the STATIC content directory without any. Each asset gets the
+   * Cache-Control of the last ASSETS pattern matching it with one, or of STATIC.
+   * Patterns and content directories outside the component root are errors.
+   *
+   * @param {function} done
+   */
+  loadAssets (done) {
+    let content = this.directives.filter((directive) => directive.cmd === 'STATIC').pop()
+    let declared = this.directives.filter((directive) => directive.cmd === 'ASSETS')
+    this.assets = []
+    if (!content && !declared.length) return done()
+    const errors = []
+    const fail = (message, code, directive, value) => errors.push(new ComponentError(message, locate(code, directive, value)))
+    // other components may live next to this one
+    const outside = (value) => /^\.\.(\/|$)/.test(path.posix.normalize(value.replace(/^!?\/*/, '')))
+    if (content && outside(content.params.contentDirectory)) {
+      fail(`Content directory '${content.params.contentDirectory}' is outside component '${this.name}'`, 'invalid-content-directory', content, content.params.contentDirectory)
+      content = null
+    }
+    const contentDirectory = content && path.posix.normalize(content.params.contentDirectory).replace(/^\/+|\/+$/g, '')
+    const within = (contentDirectory === '.' || contentDirectory === '') ? '/**' : `/${contentDirectory}/`
+    if (!declared.length && content) declared = [{ params: { pattern: within }, implicit: true }]
+    declared = declared.filter((directive) => {
+      if (!outside(directive.params.pattern)) return true
+      fail(`ASSETS pattern '${directive.params.pattern}' is outside component '${this.name}'`, 'invalid-assets-pattern', directive, directive.params.pattern)
+      return false
+    })
+    const patterns = declared.map((directive) => directive.params.pattern).concat(content ? [within] : [])
+    Assets.find(this.rootPath, patterns, new Ignore(this.app.rootPath, this.app.options.ignore), (err, matches) => {
+      if (err) return done(err)
+      if (content) {
+        const served = matches[matches.length - 1]
+        const fallback = this.settings.fallback && path.posix.join(contentDirectory, this.settings.fallback)
+        if (!served.length) {
+          fail(`Content directory '${content.params.contentDirectory}' of component '${this.name}' is missing or empty`, 'missing-content-directory', content, content.params.contentDirectory)
+        } else if (fallback && served.indexOf(fallback) === -1) {
+          fail(`Fallback '${this.settings.fallback}' not found in '${content.params.contentDirectory}'`, 'missing-fallback', content, this.settings.fallback)
+        }
+      }
+      const files = {}
+      declared.forEach((directive, index) => {
+        const negated = directive.params.pattern[0] === '!'
+        if (!matches[index].length && !negated && !directive.implicit) {
+          fail(`ASSETS pattern '${directive.params.pattern}' matches no files`, 'unmatched-assets', directive, directive.params.pattern)
+        }
+        matches[index].forEach((file) => {
+          if (negated) return delete files[file]
+          files[file] = directive.params.cacheControl || files[file] || null
+        })
+      })
+      Assets.describe(this.rootPath, Object.keys(files).sort(), (err, assets) => {
+        if (err) return done(err)
+        this.assets = assets.map((asset) => Object.assign(asset, { cacheControl: files[asset.path] || this.settings.cacheControl || null }))
+        if (errors.length && !this.app.options.diagnostics) return done(errors[0])
+        errors.forEach((err) => this.app.report(err))
+        done()
+      })
+    })
+  }
+
+  // with a DOCKERFILE directive the Dockerfile is read from that file instead
+  loadDockerfile (done) {
+    const declared = this.directives.filter((directive) => directive.cmd === 'DOCKERFILE')
+    if (!declared.length) return done(null, this.directives)
+    const directive = declared[0]
+    const fail = (message, code, related) => done(new ComponentError(message, Object.assign(locate(code, directive), { related })))
+    if (declared.length > 1) return fail(`Component '${this.name}' declares more than one DOCKERFILE`, 'dockerfile-conflict')
+    // ENV and EXPOSE also declare the variables and port of the component
+    const inline = this.directives.find((directive) => {
+      return Dockerfile.instructions.indexOf(directive.cmd) !== -1 && noopInstructions.indexOf(directive.cmd) === -1
+    })
+    if (inline) {
+      return fail(`Directive '${inline.cmd}' cannot be combined with DOCKERFILE`, 'dockerfile-conflict', [{ file: inline.file, line: inline.lineNumber }])
+    }
+    const filePath = path.resolve(this.rootPath, directive.params.path)
+    Dockerfile.load(filePath, directive.params.target, (err, loaded) => {
+      if (err && err.code === 'ENOENT') return fail(`Dockerfile '${directive.params.path}' not found`, 'missing-dockerfile')
+      if (err && err.code === 'unknown-dockerfile-target') return fail(`Build stage '${directive.params.target}' not found in '${directive.params.path}'`, err.code)
+      if (err) return done(err)
+      this.dockerfile = loaded.dockerfile
+      this.dockerfileSource = { filePath, target: directive.params.target || null, directive, hash: loaded.hash, contents: loaded.dockerfile }
+      done(null, loaded.instructions)
+    })
+  }
+}
+
+// built in types with the directives they allow, plugins cannot replace these
+const builtIns = {}
+Object.keys(types).forEach((name) => {
+  builtIns[name] = types[name].allowedDirectives.slice()
+})
+const builtInSettings = Object.keys(settingsExtractors)
+
+Component.registerType = (name, definition) => {
+  if (!definition || !Array.isArray(definition.allowedDirectives)) {
+    throw new TypeError(`Component type '${name}' must declare allowedDirectives`)
+  }
+  if (builtIns[name]) throw new TypeError(`Component type '${name}' is built in and cannot be replaced`)
+  types[name] = definition
+}
+
+Component.allowDirective = (typeName, cmd) => {
+  if (!types[typeName]) throw new TypeError(`Unknown component type '${typeName}'`)
+  if (types[typeName].allowedDirectives.indexOf(cmd) === -1) types[typeName].allowedDirectives.push(cmd)
+}
+
+Component.registerSettings = (cmd, extractor) => {
+  if (typeof extractor !== 'function') throw new TypeError(`Settings extractor for '${cmd}' must be a function`)
+  settingsExtractors[cmd] = extractor
+}
+
+// drop every registered type, allowed directive and settings extractor
+Component.reset = () => {
+  Object.keys(types).forEach((name) => {
+    if (!builtIns[name]) return delete types[name]
+    types[name].allowedDirectives = builtIns[name].slice()
+  })
+  Object.keys(settingsExtractors).filter((cmd) => builtInSettings.indexOf(cmd) === -1).forEach((cmd) => {
+    delete settingsExtractors[cmd]
+  })
 }
 
 module.exports = Component
 
-function generateDockerfile (directives) {
-  let dockerfile = ''
-  directives.forEach((directive) => {
-    switch (directive.cmd) {
-      case 'FROM':
-        dockerfile += directive.raw + '\n'
-        break
-      case 'RUN':
-        dockerfile += directive.raw + '\n'
-        break
-      case 'COPY':
-        dockerfile += directive.raw + '\n'
-        break
-      case 'ENTRYPOINT':
-        dockerfile += directive.raw + '\n'
-        break
-      case 'CMD':
-        dockerfile += directive.raw + '\n'
-        break
-      case 'WORKDIR':
-        dockerfile += directive.raw + '\n'
-        break
-      case 'USER':
-        dockerfile += directive.raw + '\n'
-        break
-      case 'ENV':
-        dockerfile += directive.raw + '\n'
-        break
-      case 'ADD':
-        dockerfile += directive.raw + '\n'
-        break
-      case 'TEST':
-        if (/^TEST .+/.test(directive.raw)) dockerfile += directive.raw.replace('TEST', 'CMD') + '\n'
-        break
-    }
+// a variable from an ENV directive, secret values are only ever read from
+// their source when running
+function declare (directive, secret) {
+  const value = directive.params.defaultValue
+  const source = (value === undefined) ? null : secrets.name(value)
+  if (!secret && !source) return { variable: { default: value, secret: false } }
+  const variable = {
+    default: (value === undefined || source) ? null : secrets.REDACTED,
+    secret: true,
+    source: (source) ? value : null
+  }
+  if (value === undefined || source) return { variable }
+  const index = directive.raw.lastIndexOf(value)
+  const warning = new ComponentError(`Secret '${directive.params.key}' has a literal default, use a secret:// reference instead`, {
+    code: 'secret-literal-default',
+    file: directive.file,
+    line: directive.lineNumber,
+    column: (index === -1) ? 1 : index + 1
   })
-  return dockerfile
+  return { variable, warning }
 }
@@ -0,0 +1,197 @@
+// Builds a docker-compose file for running an application locally from a
+// toJSON() snapshot. Service and static components become services, resources
+// become stand-in containers and task components are left out.
+const path = require('path')
+const interpolate = require('./interpolate')
+const secrets = require('./secrets')
+const healthcheck = require('./healthcheck')
+
+const exported = ['service', 'static']
+
+// credentials used by every stand-in, they only exist on the local machine
+const USERNAME = 'noop'
+const PASSWORD = 'noop-local'
+
+// AWS SDK credentials for the dynamodb and s3 stand-ins
+const aws = {
+  AWS_ACCESS_KEY_ID: USERNAME,
+  AWS_SECRET_ACCESS_KEY: PASSWORD,
+  AWS_REGION: 'us-east-1'
+}
+
+// local containers per resource type, each returning the compose service, the
+// local values of connection attributes only known once deployed and any
+// variables clients of the stand-in need besides the connection variables
+const standIns = {
+  mysql: (resource, host) => ({
+    service: {
+      image: `mysql:${resource.settings.version}`,
+      environment: {
+        MYSQL_DATABASE: resource.name,
+        MYSQL_USER: USERNAME,
+        MYSQL_PASSWORD: PASSWORD,
+        MYSQL_RANDOM_ROOT_PASSWORD: 'yes'
+      }
+    },
+    attributes: { host, username: USERNAME, password: PASSWORD }
+  }),
+  postgresql: (resource, host) => ({
+    service: {
+      image: `postgres:${resource.settings.version}`,
+      environment: {
+        POSTGRES_DB: resource.name,
+        POSTGRES_USER: USERNAME,
+        POSTGRES_PASSWORD: PASSWORD
+      }
+    },
+    attributes: { host, username: USERNAME, password: PASSWORD }
+  }),
+  dynamodb: (resource, host) => ({
+    service: {
+      image: 'amazon/dynamodb-local'
+    },
+    attributes: { endpoint: `http://${host}:8000` },
+    environment: aws
+  }),
+  s3: (resource, host) => ({
+    service: {
+      image: 'minio/minio',
+      command: 'server /data',
+      environment: {
+        MINIO_ROOT_USER: USERNAME,
+        MINIO_ROOT_PASSWORD: PASSWORD
+      }
+    },
+    attributes: { endpoint: `http://${host}:9000` },
+    environment: aws
+  }),
+  redis: (resource, host) => ({
+    service: {
+      image: `redis:${resource.settings.version}`
+    },
+    attributes: { host }
+  })
+}
+
+/**
+ * Describe an application as a docker-compose file, serialize with format.yaml
+ *
+ * @param {object} model - Application toJSON() snapshot
+ * @param {object} [options]
+ * @param {number} [options.port] - first host port to publish components on, default 8080
+ * @param {object} [options.secrets] - secret values keyed by secret:// name or ENV key
+ * @returns {object} compose file, resources without a stand-in are listed under
+ *   `x-unsupported-resources`
+ */
+function compose (model, options = {}) {
+  const services = {}
+  const unsupported = []
+  const connections = {}
+  const values = options.secrets || {}
+  model.resources.forEach((resource) => {
+    const standIn = standIns[resource.type]
+    if (!standIn) return unsupported.push(resource.name)
+    const host = `${resource.name}-${resource.type}`
+    const { service, attributes, environment } = standIn(resource, host)
+    services[host] = service
+    connections[resource.name] = { host, attributes, environment }
+  })
+  // references only known once deployed, as they are when running locally
+  const local = (ref) => {
+    if (ref.kind === 'resource') return connections[ref.target] && connections[ref.target].attributes[ref.attribute]
+    const other = ref.kind === 'component' && model.components.find((component) => component.name === ref.target)
+    if (!other) return undefined
+    if (ref.attribute === 'host') return other.name
+    if (ref.attribute === 'url') return `http://${other.name}:${other.settings.port || 80}`
+  }
+  let port = options.port || 8080
+  // in name order so host ports stay the same between runs
+  const components = model.components.filter((component) => exported.indexOf(component.type) !== -1)
+  components.sort((a, b) => (a.name < b.name) ? -1 : 1).forEach((component) => {
+    const used = component.resources.filter((name) => connections[name])
+    const environment = Object.assign({}, ...used.map((name) => connections[name].environment))
+    Object.keys(component.connections || {}).forEach((key) => {
+      const variable = component.connections[key]
+      const local = connections[variable.resource]
+      if (!local) return false
+      environment[key] = (variable.value === null) ? local.attributes[variable.attribute] : variable.value
+    })
+    Object.keys(component.variables).forEach((key) => {
+      const variable = component.variables[key]
+      if (variable.secret) {
+        // unset secrets are passed through from the shell running compose
+        const name = (variable.source) ? secrets.name(variable.source) : key
+        environment[key] = (values[name] === undefined) ? null : values[name]
+        return false
+      }
+      const value = (variable.value === undefined) ? variable.default : variable.value
+      environment[key] = (typeof value === 'string') ? interpolate.substitute(value, local) : value
+    })
+    const containerPort = component.settings.port || 80
+    services[component.name] = {
+      build: build(component),
+      environment: Object.keys(environment).length ? environment : undefined,
+      ports: [`${port++}:${containerPort}`],
+      depends_on: used.length ? used.map((name) => connections[name].host) : undefined,
+      healthcheck: check(component),
+      deploy: limits(component.settings)
+    }
+  })
+  return escape({
+    services,
+    'x-unsupported-resources': unsupported.length ? unsupported : undefined
+  })
+}
+
+compose.standIns = standIns
+
+module.exports = compose
+
+// compose substitutes $VARIABLE from the shell running it, $$ is a literal $
+function escape (value) {
+  if (typeof value === 'string') return value.replace(/\$/g, '$$$$')
+  if (Array.isArray(value)) return value.map(escape)
+  if (!value || typeof value !== 'object') return value
+  const escaped = {}
+  Object.keys(value).forEach((key) => {
+    escaped[key] = escape(value[key])
+  })
+  return escaped
+}
+
+function build (component) {
+  const context = (component.rootPath) ? './' + component.rootPath.replace(/\/$/, '') : '.'
+  const source = component.dockerfileSource
+  if (!source) return { context, dockerfile_inline: component.dockerfile }
+  return {
+    context,
+    dockerfile: path.posix.relative(component.rootPath || '.', source.path),
+    target: source.target || undefined
+  }
+}
+
+function check (component) {
+  const model = component.healthCheck
+  if (!model) return undefined
+  const seconds = (value) => (value === null) ? undefined : `${value}s`
+  return {
+    test: healthcheck.test(model),
+    interval: seconds(model.interval),
+    timeout: seconds(model.timeout),
+    start_period: seconds(model.startPeriod),
+    retries: (model.retries === null) ? undefined : model.retries
+  }
+}
+
+// CPU is in cores and MEMORY in megabytes
+function limits (settings) {
+  if (settings.cpu === undefined && settings.memory === undefined) return undefined
+  return {
+    resources: {
+      limits: {
+        cpus: (settings.cpu === undefined) ? undefined : String(settings.cpu),
+        memory: (settings.memory === undefined) ? undefined : `${settings.memory}M`
+      }
+    }
+  }
+}
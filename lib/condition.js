@@ -0,0 +1,193 @@
+// Route conditions, e.g. `header.x-beta == "1" and not cookie.legacy`
+//
+//   expression := and (('or' | '||') and)*
+//   and        := unary (('and' | '&&') unary)*
+//   unary      := ('not' | '!') unary | '(' expression ')' | test
+//   test       := source [('==' | '!=' | '~=') value]
+//   source     := 'host' | ('header' | 'query' | 'cookie') '.' name
+
+const sources = {
+  host: (context) => context.host,
+  header: (context, name) => lookup(context.headers, name.toLowerCase(), true),
+  query: (context, name) => lookup(context.query, name),
+  cookie: (context, name) => lookup(context.cookies, name)
+}
+
+const operators = ['==', '!=', '~=']
+
+class ConditionError extends Error {
+  constructor (message, details = {}) {
+    super(message)
+    this.name = 'ConditionError'
+    this.code = details.code
+    this.position = details.position
+  }
+}
+
+class Condition {
+  constructor (source) {
+    this.source = source
+    this.tree = parse(tokenize(source), source)
+  }
+
+  evaluate (context = {}) {
+    return evaluate(this.tree, context)
+  }
+
+  toString () {
+    return stringify(this.tree)
+  }
+
+  toJSON () {
+    return this.source
+  }
+}
+
+Condition.parse = (source) => new Condition(String(source))
+
+module.exports = Condition
+
+function tokenize (source) {
+  const tokens = []
+  const pattern = /\s*(?:(\(|\)|==|!=|~=|&&|\|\||!)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s()!=~&|"']+))/y
+  let match
+  while (pattern.lastIndex < source.length) {
+    const position = pattern.lastIndex
+    match = pattern.exec(source)
+    if (!match) {
+      if (!source.substring(position).trim()) break
+      throw new ConditionError(`Unexpected character '${source.substring(position).trim()[0]}'`, { code: 'invalid-condition', position })
+    }
+    if (match[1]) {
+      tokens.push({ type: 'symbol', value: match[1], position })
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      const value = (match[2] !== undefined ? match[2] : match[3]).replace(/\\(["'\\])/g, '$1')
+      tokens.push({ type: 'string', value, position })
+    } else {
+      tokens.push({ type: 'word', value: match[4], position })
+    }
+  }
+  return tokens
+}
+
+function parse (tokens, source) {
+  let index = 0
+  const peek = () => tokens[index]
+  const is = (...values) => {
+    const token = peek()
+    if (!token || token.type === 'string') return false
+    return values.indexOf(token.type === 'word' ? token.value.toLowerCase() : token.value) !== -1
+  }
+  const fail = (message) => {
+    const token = peek()
+    throw new ConditionError(message, { code: 'invalid-condition', position: token ? token.position : source.length })
+  }
+
+  const expression = () => {
+    let node = and()
+    while (is('or', '||')) {
+      index++
+      node = { type: 'or', left: node, right: and() }
+    }
+    return node
+  }
+  const and = () => {
+    let node = unary()
+    while (is('and', '&&')) {
+      index++
+      node = { type: 'and', left: node, right: unary() }
+    }
+    return node
+  }
+  const unary = () => {
+    if (is('not', '!')) {
+      index++
+      return { type: 'not', operand: unary() }
+    }
+    if (is('(')) {
+      index++
+      const node = expression()
+      if (!is(')')) fail('Expected \')\'')
+      index++
+      return node
+    }
+    return test()
+  }
+  const test = () => {
+    const token = peek()
+    if (!token || token.type !== 'word') fail('Expected header, query, cookie or host')
+    const dot = token.value.indexOf('.')
+    const source = (dot === -1) ? token.value : token.value.substring(0, dot)
+    const name = (dot === -1) ? null : token.value.substring(dot + 1)
+    if (!sources[source]) fail(`Unknown condition source '${source}'`)
+    if (source === 'host' && name !== null) fail('host does not take a name')
+    if (source !== 'host' && !name) fail(`Expected a name after '${source}.'`)
+    index++
+    const node = { type: 'test', source, name }
+    if (!is(...operators)) return node
+    node.operator = peek().value
+    index++
+    const value = peek()
+    if (!value || (value.type !== 'string' && value.type !== 'word')) fail(`Expected a value after '${node.operator}'`)
+    node.value = value.value
+    if (node.operator === '~=') {
+      try {
+        node.regex = new RegExp(node.value)
+      } catch (err) {
+        fail(`Invalid pattern '${node.value}'`)
+      }
+    }
+    index++
+    return node
+  }
+
+  if (!tokens.length) fail('Empty condition')
+  const tree = expression()
+  if (index < tokens.length) fail(`Unexpected '${peek().value}'`)
+  return tree
+}
+
+function evaluate (node, context) {
+  switch (node.type) {
+    case 'or':
+      return evaluate(node.left, context) || evaluate(node.right, context)
+    case 'and':
+      return evaluate(node.left, context) && evaluate(node.right, context)
+    case 'not':
+      return !evaluate(node.operand, context)
+    case 'test': {
+      let actual = sources[node.source](context, node.name)
+      if (!node.operator) return actual !== undefined && actual !== null
+      if (actual === undefined || actual === null) return node.operator === '!='
+      actual = String(actual)
+      if (node.source === 'host') actual = actual.toLowerCase().replace(/:\d+$/, '')
+      const expected = (node.source === 'host') ? node.value.toLowerCase() : node.value
+      if (node.operator === '==') return actual === expected
+      if (node.operator === '!=') return actual !== expected
+      return node.regex.test(actual)
+    }
+  }
+}
+
+function stringify (node) {
+  switch (node.type) {
+    case 'or':
+      return `(${stringify(node.left)} or ${stringify(node.right)})`
+    case 'and':
+      return `(${stringify(node.left)} and ${stringify(node.right)})`
+    case 'not':
+      return `not ${stringify(node.operand)}`
+    case 'test': {
+      const reference = node.name ? `${node.source}.${node.name}` : node.source
+      return node.operator ? `${reference} ${node.operator} ${JSON.stringify(node.value)}` : reference
+    }
+  }
+}
+
+function lookup (values, name, caseInsensitive) {
+  if (!values) return undefined
+  if (Object.prototype.hasOwnProperty.call(values, name)) return values[name]
+  if (!caseInsensitive) return undefined
+  const key = Object.keys(values).find((key) => key.toLowerCase() === name)
+  return (key === undefined) ? undefined : values[key]
+}
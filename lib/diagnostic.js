@@ -0,0 +1,61 @@
+class Diagnostic {
+  constructor (err, severity = 'error') {
+    this.severity = severity
+    this.code = err.code || 'error'
+    this.source = err.name
+    this.file = err.file || err.path || null
+    this.line = err.line || null
+    this.column = err.column || null
+    this.message = err.message
+    if (err.related) this.related = err.related
+  }
+
+  toString () {
+    const location = [this.file, this.line, this.column].filter(Boolean).join(':')
+    return `${this.severity} ${this.code}${location ? ` [${location}]` : ''}: ${this.message}`
+  }
+}
+
+/**
+ * Base of the errors discovery reports. The location is kept out of the
+ * message, diagnostics show it from file, line and column.
+ */
+class LocatedError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details] - { code, file, line, column, related }, see locate
+   */
+  constructor (message, details = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = details.code
+    this.file = details.file
+    this.line = details.line
+    this.column = details.column
+    this.related = details.related
+  }
+}
+
+/**
+ * Details locating an error at a directive
+ *
+ * @param {string} code
+ * @param {Directive} [directive] - only the code without one
+ * @param {*} [value] - point the column at its first occurrence after the
+ *   directive name, the first column without it
+ * @returns {object} { code, file, line, column }
+ */
+function locate (code, directive, value) {
+  if (!directive) return { code }
+  const index = (value === null || value === undefined) ? -1 : directive.raw.indexOf(String(value), (directive.cmd || '').length)
+  return {
+    code,
+    file: directive.file,
+    line: directive.lineNumber,
+    column: (index === -1) ? 1 : index + 1
+  }
+}
+
+module.exports = Diagnostic
+module.exports.LocatedError = LocatedError
+module.exports.locate = locate
@@ -0,0 +1,165 @@
+// Compares two toJSON() snapshots. Entries are matched by name (routes by
+// method, pattern and condition) and where they are declared is not a change.
+const collections = {
+  components: (component) => component.name,
+  resources: (resource) => resource.name,
+  routes: (route) => `${route.method} ${route.pattern}${route.condition ? ` if ${route.condition}` : ''}`
+}
+
+/**
+ * @param {object} before - Application toJSON() snapshot
+ * @param {object} after - Application toJSON() snapshot
+ * @returns {object} { components, resources, routes } each with added, removed and changed keys
+ */
+function diff (before, after) {
+  const changes = {}
+  Object.keys(collections).forEach((collection) => {
+    const previous = index(before[collection], collections[collection])
+    const next = index(after[collection], collections[collection])
+    changes[collection] = {
+      added: Object.keys(next).filter((key) => !previous[key]),
+      removed: Object.keys(previous).filter((key) => !next[key]),
+      changed: Object.keys(next).filter((key) => previous[key] && fingerprint(previous[key]) !== fingerprint(next[key]))
+    }
+  })
+  return changes
+}
+
+/**
+ * Describe what changed between two toJSON() snapshots, e.g. to post on a pull request
+ *
+ * @param {object} before - Application toJSON() snapshot
+ * @param {object} after - Application toJSON() snapshot
+ * @returns {object[]} changes, each { type, subject, name, before, after, message } where
+ *   subject is 'component', 'variable', 'route' or 'resource'
+ */
+diff.changes = (before, after) => {
+  const changes = []
+  const add = (type, subject, name, values, message) => {
+    changes.push(Object.assign({ type, subject, name }, values, { message }))
+  }
+  const matched = (collection, compare) => {
+    const previous = index(before[collection], collections[collection])
+    const next = index(after[collection], collections[collection])
+    Object.keys(previous).filter((key) => !next[key]).forEach((key) => compare(key, previous[key], null))
+    Object.keys(next).forEach((key) => compare(key, previous[key] || null, next[key]))
+  }
+
+  matched('components', (name, previous, next) => {
+    if (!next) return add('component-removed', 'component', name, {}, `Component '${name}' removed`)
+    if (!previous) {
+      add('component-added', 'component', name, { after: next.type }, `Component '${name}' (${next.type}) added`)
+      // only secrets of a new component are worth calling out
+      return Object.keys(next.variables || {}).filter((key) => next.variables[key].secret).forEach((key) => {
+        add('secret-added', 'variable', `${name}.${key}`, {}, `Component '${name}' secret '${key}' added`)
+      })
+    }
+    if (previous.type !== next.type) {
+      add('component-retyped', 'component', name, { before: previous.type, after: next.type }, `Component '${name}' changed type from ${previous.type} to ${next.type}`)
+    }
+    keys(previous.settings, next.settings).forEach((key) => {
+      const values = { before: previous.settings[key], after: next.settings[key] }
+      if (same(values.before, values.after)) return false
+      add('component-setting-changed', 'component', name, values, `Component '${name}' setting '${key}' changed from ${show(values.before)} to ${show(values.after)}`)
+    })
+    keys(previous.variables, next.variables).forEach((key) => {
+      const was = previous.variables[key]
+      const now = next.variables[key]
+      const variable = `${name}.${key}`
+      if (!now) return add('variable-removed', 'variable', variable, {}, `Component '${name}' variable '${key}' removed`)
+      if (now.secret && (!was || !was.secret)) return add('secret-added', 'variable', variable, {}, `Component '${name}' secret '${key}' added`)
+      if (!was) return add('variable-added', 'variable', variable, { after: now.default }, `Component '${name}' variable '${key}' added with default ${show(now.default)}`)
+      if (same(was.default, now.default)) return false
+      // secret values stay out of the change set
+      const values = (now.secret) ? {} : { before: was.default, after: now.default }
+      add('variable-default-changed', 'variable', variable, values, `Component '${name}' variable '${key}' default changed` + ((now.secret) ? '' : ` from ${show(was.default)} to ${show(now.default)}`))
+    })
+    if (previous.dockerfile !== undefined && previous.dockerfile !== next.dockerfile) {
+      add('dockerfile-changed', 'component', name, { before: previous.dockerfile, after: next.dockerfile }, `Component '${name}' Dockerfile changed`)
+    }
+  })
+
+  // routes that kept their relative order form the longest common subsequence, the rest moved
+  const kept = common((before.routes || []).map(collections.routes), (after.routes || []).map(collections.routes))
+  const precedence = (routes, key) => routes.map(collections.routes).indexOf(key) + 1
+  matched('routes', (name, previous, next) => {
+    if (!next) return add('route-removed', 'route', name, {}, `Route ${name} of component '${previous.component}' removed`)
+    if (!previous) return add('route-added', 'route', name, { after: next.component }, `Route ${name} added for component '${next.component}'`)
+    if (kept.indexOf(name) === -1) {
+      const values = { before: precedence(before.routes, name), after: precedence(after.routes, name) }
+      add('route-moved', 'route', name, values, `Route ${name} moved from precedence ${values.before} to ${values.after}`)
+    }
+    ;['component', 'private'].forEach((key) => {
+      if (same(previous[key], next[key])) return false
+      add('route-changed', 'route', name, { before: previous[key], after: next[key] }, `Route ${name} ${key} changed from ${show(previous[key])} to ${show(next[key])}`)
+    })
+  })
+
+  matched('resources', (name, previous, next) => {
+    if (!next) return add('resource-removed', 'resource', name, {}, `Resource '${name}' removed`)
+    if (!previous) return add('resource-added', 'resource', name, { after: next.type }, `Resource '${name}' (${next.type}) added`)
+    if (previous.type !== next.type) {
+      add('resource-retyped', 'resource', name, { before: previous.type, after: next.type }, `Resource '${name}' changed type from ${previous.type} to ${next.type}`)
+    }
+    keys(previous.settings, next.settings).forEach((key) => {
+      const values = { before: previous.settings[key], after: next.settings[key] }
+      if (same(values.before, values.after)) return false
+      add('resource-setting-changed', 'resource', name, values, `Resource '${name}' setting '${key}' changed from ${show(values.before)} to ${show(values.after)}`)
+    })
+  })
+  return changes
+}
+
+module.exports = diff
+
+function index (entries = [], key) {
+  const indexed = {}
+  entries.forEach((entry) => {
+    indexed[key(entry)] = entry
+  })
+  return indexed
+}
+
+function keys (...objects) {
+  const found = []
+  objects.forEach((object) => Object.keys(object || {}).forEach((key) => {
+    if (found.indexOf(key) === -1) found.push(key)
+  }))
+  return found
+}
+
+function same (first, second) {
+  return JSON.stringify(first) === JSON.stringify(second)
+}
+
+function show (value) {
+  return (value === undefined) ? 'unset' : JSON.stringify(value)
+}
+
+function common (first, second) {
+  const lengths = first.map(() => new Array(second.length + 1).fill(0)).concat([new Array(second.length + 1).fill(0)])
+  for (let i = first.length - 1; i >= 0; i--) {
+    for (let j = second.length - 1; j >= 0; j--) {
+      lengths[i][j] = (first[i] === second[j]) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+  const sequence = []
+  let i = 0
+  let j = 0
+  while (i < first.length && j < second.length) {
+    if (first[i] === second[j]) {
+      sequence.push(first[i])
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+  return sequence
+}
+
+function fingerprint (entry) {
+  return JSON.stringify(Object.assign({}, entry, { declaration: undefined, declarations: undefined }))
+}
@@ -1,6 +1,9 @@
 const minimist = require('minimist')
 const dockerParser = require('docker-file-parser')
 const { validate } = require('node-cron')
+const Condition = require('./condition')
+const schedule = require('./schedule')
+const { LocatedError, locate } = require('./diagnostic')
 
 const directives = {
   COMPONENT: {
@@ -46,7 +49,8 @@ const directives = {
     condition: {
       option: 'condition',
       alias: 'c',
-      default: true
+      string: true,
+      parse: Condition.parse
     }
   },
   RESOURCE: {
@@ -70,7 +74,7 @@ const directives = {
     },
     defaultValue: {
       operand: 1,
-      required: true
+      requiredUnless: 'secret'
     },
     secret: {
       option: 'secret',
@@ -79,10 +83,29 @@ const directives = {
       boolean: true
     }
   },
+  STATIC: {
+    contentDirectory: {
+      operand: 0,
+      required: true
+    },
+    fallback: {
+      option: 'fallback',
+      alias: 'f',
+      string: true
+    },
+    cacheControl: {
+      option: 'cache-control',
+      string: true
+    }
+  },
   ASSETS: {
     pattern: {
       operand: 0,
       required: true
+    },
+    cacheControl: {
+      option: 'cache-control',
+      string: true
     }
   },
   CRON: {
@@ -105,12 +128,19 @@ const directives = {
     weekday: {
       operand: 4,
       required: true
+    },
+    timezone: {
+      option: 'timezone',
+      alias: 'z',
+      string: true,
+      parse: schedule.timezone
     }
   },
   LIFECYCLE: {
     lifecycle: {
       operand: 0,
-      required: true
+      required: true,
+      enum: ['before-deploy', 'after-deploy']
     }
   },
   TEST: {
@@ -142,22 +172,70 @@ const directives = {
     interval: {
       option: 'interval',
       alias: 'i',
-      match: /^\d+$/
+      match: /^\d+(\.\d+)?(ms|s|m|h)?$/
     },
     timeout: {
       option: 'timeout',
       alias: 't',
-      match: /^\d+$/
+      match: /^\d+(\.\d+)?(ms|s|m|h)?$/
+    },
+    startPeriod: {
+      option: 'start-period',
+      alias: 'p',
+      match: /^\d+(\.\d+)?(ms|s|m|h)?$/
     },
     retries: {
       option: 'retries',
       alias: 'r',
       match: /^\d+$/
     },
+    method: {
+      option: 'method',
+      alias: 'm',
+      string: true,
+      match: /^(GET|HEAD|POST|PUT|DELETE|OPTIONS|PATCH)$/
+    },
+    status: {
+      option: 'status',
+      alias: 's',
+      match: /^[1-5]\d\d$/
+    },
+    // options end at the check type, the rest is the path or command
     checkType: {
       operand: 0,
       required: true,
-      enum: ['CMD', 'HTTP']
+      enum: ['CMD', 'HTTP'],
+      stopEarly: true
+    }
+  },
+  DOCKERFILE: {
+    path: {
+      operand: 0,
+      required: true
+    },
+    target: {
+      option: 'target',
+      alias: 't',
+      string: true
+    }
+  },
+  ARG: {
+    name: {
+      operand: 0,
+      required: true,
+      match: /^[a-zA-Z_][a-zA-Z0-9_]*(=|$)/
+    }
+  },
+  STOPSIGNAL: {
+    signal: {
+      operand: 0,
+      required: true
+    }
+  },
+  ONBUILD: {
+    trigger: {
+      operand: 0,
+      required: true
     }
   },
   FROM: {},
@@ -167,15 +245,13 @@ const directives = {
   WORKDIR: {},
   CMD: {},
   ENTRYPOINT: {},
-  USER: {}
+  USER: {},
+  LABEL: {},
+  SHELL: {},
+  VOLUME: {}
 }
 
-class DirectiveError extends Error {
-  constructor (...args) {
-    super(...args)
-    this.name = 'DirectiveError'
-  }
-}
+class DirectiveError extends LocatedError {}
 
 class Directive {
   constructor (raw, file, lineNumber) {
@@ -193,26 +269,25 @@ class Directive {
       this.raw = raw.replace(/^ENVIRONMENT /, 'ENV ')
     }
     if (typeof parsed[0].args === 'string') {
-      this.args = parsed[0].args.split(' ')
-    } else {
+      this.args = splitArgs(parsed[0].args)
+    } else if (Array.isArray(parsed[0].args)) {
       this.args = parsed[0].args
+    } else {
+      // LABEL and ONBUILD are parsed into objects
+      this.args = splitArgs(this.raw.replace(/^\S+\s*/, ''))
     }
     this.params = {}
+    // params before the parse functions of their keys ran, kept in the manifest cache
+    this.values = {}
   }
 
   parse (done) {
-    if (this.cmd === 'CRON' && !validate(this.args.join(' '))) {
-      return done(
-        new DirectiveError(
-          `Invalid schedule pattern for '${this.cmd}' at '${this.file}:${this.lineNumber}'`
-        )
-      )
-    }
     const props = directives[this.cmd]
     if (!props) {
       return done(
         new DirectiveError(
-          `Unknown directive '${this.cmd}' at '${this.file}:${this.lineNumber}'`
+          `Unknown directive '${this.cmd}'`,
+          this.location('unknown-directive')
         )
       )
     }
@@ -221,15 +296,18 @@ class Directive {
       if (props[key].boolean) {
         argOpts.boolean.push(props[key].option)
       }
+      if (props[key].string) {
+        argOpts.string.push(props[key].option)
+      }
       if (props[key].alias) {
         argOpts.alias[props[key].option] = props[key].alias
       }
+      if (props[key].stopEarly) {
+        argOpts.stopEarly = true
+      }
     })
     const args = minimist(this.args, argOpts)
     const errors = []
-    if (!props) {
-      return done(new DirectiveError(`Unknown directive '${this.cmd}'`))
-    }
     Object.keys(props).forEach(key => {
       let value = null
       if (Number.isInteger(props[key].operand)) {
@@ -241,32 +319,132 @@ class Directive {
         value = props[key].default
       }
       if (props[key].required && (value === null || value === undefined)) {
-        return errors.push(`'${key}' is required`)
+        return errors.push(this.location('missing-required', null, `'${key}' is required`))
+      }
+      const unless = props[key].requiredUnless
+      if (unless && !args[props[unless].option] && (value === null || value === undefined)) {
+        return errors.push(this.location('missing-required', null, `'${key}' is required unless '${unless}' is set`))
       }
       if (props[key].enum && props[key].enum.indexOf(value) === -1) {
-        return errors.push(`'${value}' is not a valid value for '${key}'`)
+        return errors.push(this.location('invalid-value', value, `'${value}' is not a valid value for '${key}'`))
       }
       if (value && props[key].match && !props[key].match.test(value)) {
-        return errors.push(`value for '${key}' must match ${props[key].match}`)
+        return errors.push(this.location('invalid-format', value, `value for '${key}' must match ${props[key].match}`))
       }
       if (props[key].passThrough) {
         value = args._.join(' ')
       }
+      this.values[key] = value
+      if (props[key].parse && value !== null && value !== undefined) {
+        try {
+          value = props[key].parse(value)
+        } catch (err) {
+          return errors.push(this.location('invalid-value', value, `invalid ${key} '${value}': ${err.message}`))
+        }
+      }
       this.params[key] = value
     })
+    if (this.cmd === 'CRON' && !errors.length && !validate(schedule.pattern(this.params))) {
+      return done(
+        new DirectiveError(
+          `Invalid schedule pattern for '${this.cmd}'`,
+          this.location('invalid-schedule', this.args[0])
+        )
+      )
+    }
     if (errors.length) {
+      const details = errors.map(err => {
+        return new DirectiveError(err.message, err)
+      })
       const error = new DirectiveError(
-        errors
-          .map(err => {
-            return `[${this.file}:${this.lineNumber}] ${err}`
-          })
-          .join('\n')
+        details
+          .map(err => err.message)
+          .join('\n'),
+        errors[0]
       )
+      error.errors = details
       done(error)
     } else {
       done(null, this)
     }
   }
+
+  location (code, value, message) {
+    return Object.assign(locate(code, this, value), { message })
+  }
+}
+
+// split arguments on whitespace, honouring shell style quoting
+function splitArgs (string) {
+  const args = []
+  let current = null
+  let quote = null
+  for (let i = 0; i < string.length; i++) {
+    const char = string[i]
+    if (quote) {
+      if (char === quote) {
+        quote = null
+      } else if (quote === '"' && char === '\\' && (string[i + 1] === '"' || string[i + 1] === '\\')) {
+        current += string[++i]
+      } else {
+        current += char
+      }
+    } else if (/\s/.test(char)) {
+      if (current !== null) args.push(current)
+      current = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+      current = current || ''
+    } else {
+      current = (current || '') + char
+    }
+  }
+  if (current !== null) args.push(current)
+  return args
+}
+
+/**
+ * A directive parsed on an earlier run, only the parse functions of its keys run again
+ *
+ * @param {object} entry - { raw, lineno, cmd, args, values } of the parsed directive
+ * @param {string} file
+ * @returns {Directive}
+ */
+Directive.restore = (entry, file) => {
+  const props = directives[entry.cmd]
+  const directive = Object.create(Directive.prototype)
+  directive.raw = entry.raw
+  directive.file = file
+  directive.lineNumber = entry.lineno
+  directive.cmd = entry.cmd
+  directive.args = entry.args.slice()
+  directive.params = {}
+  directive.values = {}
+  Object.keys(props).forEach((key) => {
+    // undefined values do not survive JSON
+    const value = entry.values[key]
+    directive.values[key] = value
+    directive.params[key] = (props[key].parse && value !== null && value !== undefined) ? props[key].parse(value) : value
+  })
+  return directive
+}
+
+Directive.isRegistered = (name) => Object.prototype.hasOwnProperty.call(directives, name)
+
+// directives plugins cannot replace
+const builtIns = Object.keys(directives)
+
+Directive.register = (name, props) => {
+  if (!/^[A-Z][A-Z0-9_]*$/.test(name)) throw new TypeError(`Invalid directive name '${name}'`)
+  if (builtIns.indexOf(name) !== -1) throw new TypeError(`Directive '${name}' is built in and cannot be replaced`)
+  directives[name] = props || {}
+}
+
+// drop every registered directive
+Directive.reset = () => {
+  Object.keys(directives).filter((name) => builtIns.indexOf(name) === -1).forEach((name) => {
+    delete directives[name]
+  })
 }
 
 module.exports = Directive
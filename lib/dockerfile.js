@@ -0,0 +1,207 @@
+const fs = require('fs')
+const path = require('path')
+const async = require('async')
+const parser = require('docker-file-parser')
+const Cache = require('./cache')
+const Directive = require('./directive')
+const secrets = require('./secrets')
+const healthcheck = require('./healthcheck')
+const { LocatedError, locate } = require('./diagnostic')
+
+// Dockerfile instructions copied into the generated Dockerfile as written
+const instructions = [
+  'FROM',
+  'ARG',
+  'LABEL',
+  'ENV',
+  'SHELL',
+  'WORKDIR',
+  'USER',
+  'RUN',
+  'COPY',
+  'ADD',
+  'VOLUME',
+  'EXPOSE',
+  'STOPSIGNAL',
+  'ONBUILD',
+  'ENTRYPOINT',
+  'CMD'
+]
+
+// instructions Docker does not allow as an ONBUILD trigger
+const forbiddenTriggers = ['ONBUILD', 'FROM', 'MAINTAINER']
+
+class DockerfileError extends LocatedError {}
+
+/**
+ * Build the Dockerfile for a component from its directives, secret ENV keys
+ * are left out so they never end up in an image
+ *
+ * @param {Directive[]} directives
+ * @param {object} [healthCheck] - healthcheck.model(), added as the last instruction
+ *   so it applies to the final stage
+ * @returns {string}
+ */
+function generate (directives, healthCheck) {
+  let dockerfile = ''
+  directives.forEach((directive) => {
+    if (directive.cmd === 'ENV' && isSecret(directive)) return false
+    if (instructions.indexOf(directive.cmd) !== -1) {
+      dockerfile += directive.raw + '\n'
+    } else if (directive.cmd === 'TEST' && /^TEST .+/.test(directive.raw)) {
+      dockerfile += directive.raw.replace('TEST', 'CMD') + '\n'
+    }
+  })
+  if (healthCheck) dockerfile += healthcheck.instruction(healthCheck) + '\n'
+  return dockerfile
+}
+
+/**
+ * Read an existing Dockerfile, keeping the stages up to and including target
+ *
+ * @param {string} filePath
+ * @param {string} [target] - build stage name, as with `docker build --target`
+ * @param {function} done - called with (err, { instructions, dockerfile, hash })
+ *   where instructions are Directives for each Dockerfile instruction
+ */
+function load (filePath, target, done) {
+  fs.readFile(filePath, (err, data) => {
+    if (err) return done(err)
+    const contents = data.toString()
+    let instructions = parser.parse(contents).map(({ raw, lineno }) => new Directive(raw, filePath, lineno))
+    if (target) {
+      const stages = instructions.map((instruction, index) => ({ index, name: stageName(instruction) })).filter((stage) => stage.name !== undefined)
+      const stage = stages.findIndex((stage) => stage.name === target.toLowerCase())
+      if (stage === -1) return done(new DockerfileError(`Build stage '${target}' not found`, { code: 'unknown-dockerfile-target', file: filePath }))
+      if (stages[stage + 1]) instructions = instructions.slice(0, stages[stage + 1].index)
+    }
+    done(null, {
+      instructions,
+      dockerfile: instructions.map((instruction) => instruction.raw + '\n').join(''),
+      hash: Cache.hash(contents)
+    })
+  })
+}
+
+/**
+ * Check build stages, SHELL and ONBUILD forms and that COPY/ADD sources exist
+ * relative to rootPath, which is the build context
+ *
+ * @param {Directive[]} directives - the directives to build from
+ * @param {string} rootPath
+ * @param {function} done - called with (null, errors)
+ */
+function validate (directives, rootPath, done) {
+  const errors = []
+  const stages = []
+  const sources = []
+  // stage names in order, to tell a later stage from an image name
+  const named = directives.filter((directive) => directive.cmd === 'FROM').map(stageName)
+  const fail = (message, code, directive, value) => errors.push(new DockerfileError(message, locate(code, directive, value)))
+  directives.forEach((directive) => {
+    switch (directive.cmd) {
+      case 'FROM': {
+        const match = /^FROM\s+(?:--platform=\S+\s+)?(\S+)(?:\s+AS\s+(\S+))?\s*$/i.exec(directive.raw)
+        const name = (match && match[2]) ? match[2].toLowerCase() : null
+        if (!match) fail('FROM expects an image and an optional AS <name>', 'invalid-from', directive)
+        if (name && stages.indexOf(name) !== -1) fail(`Duplicate build stage '${match[2]}'`, 'duplicate-stage', directive, match[2])
+        stages.push(name)
+        break
+      }
+      case 'COPY':
+      case 'ADD': {
+        const from = flag(directive, 'from')
+        if (from === undefined) return sources.push(directive)
+        if (directive.cmd === 'ADD') return fail('ADD does not support --from', 'invalid-copy-from', directive, '--from')
+        const current = stages.length - 1
+        const stage = /^\d+$/.test(from) ? parseInt(from) : named.indexOf(from.toLowerCase())
+        // a name that is not a stage is an image
+        if (stage === -1) return false
+        if (stage >= current) fail(`COPY --from=${from} must refer to an earlier build stage`, 'invalid-copy-from', directive, from)
+        break
+      }
+      case 'SHELL': {
+        let shell = null
+        try {
+          shell = JSON.parse(directive.raw.replace(/^SHELL\s+/, ''))
+        } catch (err) {}
+        if (!Array.isArray(shell) || !shell.length || shell.some((item) => typeof item !== 'string')) {
+          fail('SHELL must be written as a JSON array of strings', 'invalid-shell', directive)
+        }
+        break
+      }
+      case 'ONBUILD': {
+        const trigger = directive.args[0] || ''
+        if (forbiddenTriggers.indexOf(trigger.toUpperCase()) !== -1 || instructions.indexOf(trigger.toUpperCase()) === -1) {
+          fail(`'${trigger}' is not allowed as an ONBUILD instruction`, 'invalid-onbuild', directive, trigger)
+        }
+        break
+      }
+    }
+  })
+  async.eachSeries(sources, (directive, done) => {
+    const operands = directive.args.filter((arg) => !/^--/.test(arg))
+    async.eachSeries(operands.slice(0, -1), (source, done) => {
+      // remote sources and build arguments are resolved by Docker
+      if (/^[a-z][a-z0-9+.-]*:\/\//i.test(source) || /^git@/.test(source) || source.indexOf('$') !== -1) return done()
+      const resolved = path.join(rootPath, source)
+      if (path.relative(rootPath, resolved).split(path.sep)[0] === '..') {
+        fail(`${directive.cmd} source '${source}' is outside the component root`, 'source-outside-context', directive, source)
+        return done()
+      }
+      exists(rootPath, path.relative(rootPath, resolved), (found) => {
+        if (!found) fail(`${directive.cmd} source '${source}' does not exist in ${rootPath}`, 'missing-source', directive, source)
+        done()
+      })
+    }, done)
+  }, () => done(null, errors))
+}
+
+module.exports = {
+  instructions,
+  generate,
+  load,
+  validate,
+  DockerfileError
+}
+
+function isSecret (directive) {
+  const params = directive.params || {}
+  return !!params.secret || (params.defaultValue !== undefined && secrets.name(params.defaultValue) !== null)
+}
+
+// the lowercased stage name of a FROM instruction, null for an unnamed stage
+function stageName (directive) {
+  if (directive.cmd !== 'FROM') return undefined
+  const match = /\sAS\s+(\S+)\s*$/i.exec(directive.raw)
+  return (match) ? match[1].toLowerCase() : null
+}
+
+function flag (directive, name) {
+  const prefix = `--${name}=`
+  const arg = directive.args.find((arg) => arg.indexOf(prefix) === 0)
+  return (arg === undefined) ? undefined : arg.substring(prefix.length)
+}
+
+// true when the path, which may use * ? and [] wildcards, matches a file or directory
+function exists (dir, relative, done) {
+  const segments = relative.split(path.sep).filter((segment) => segment && segment !== '.')
+  if (!segments.length) return done(true)
+  const [segment, ...rest] = segments
+  if (!/[*?[]/.test(segment)) {
+    return fs.access(path.join(dir, segment), (err) => {
+      if (err) return done(false)
+      if (!rest.length) return done(true)
+      exists(path.join(dir, segment), rest.join(path.sep), done)
+    })
+  }
+  const pattern = new RegExp('^' + segment.replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$')
+  fs.readdir(dir, (err, entries) => {
+    if (err) return done(false)
+    const matches = entries.filter((entry) => pattern.test(entry))
+    if (!rest.length) return done(matches.length > 0)
+    async.someSeries(matches, (entry, done) => {
+      exists(path.join(dir, entry), rest.join(path.sep), (found) => done(null, found))
+    }, (err, found) => done(!err && found))
+  })
+}
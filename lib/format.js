@@ -0,0 +1,39 @@
+const jsyaml = require('js-yaml')
+
+/**
+ * Serialize plain JSON data as a YAML document
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function yaml (value) {
+  return jsyaml.safeDump(JSON.parse(JSON.stringify(value)), { noRefs: true, lineWidth: -1 })
+}
+
+/**
+ * Render rows as a plain text table
+ *
+ * @param {object[]} rows
+ * @param {object[]} columns - [{ key, title }]
+ * @returns {string}
+ */
+function table (rows, columns) {
+  const cells = [columns.map((column) => column.title)].concat(rows.map((row) => {
+    return columns.map((column) => {
+      const value = row[column.key]
+      if (value === null || value === undefined) return ''
+      if (Array.isArray(value)) return value.join(', ')
+      if (typeof value === 'object') return Object.keys(value).map((key) => `${key}=${value[key]}`).join(', ')
+      return String(value)
+    })
+  }))
+  const widths = columns.map((column, index) => Math.max(...cells.map((row) => row[index].length)))
+  return cells.map((row) => {
+    return row.map((cell, index) => (index === row.length - 1) ? cell : cell.padEnd(widths[index])).join('  ')
+  }).join('\n') + '\n'
+}
+
+module.exports = {
+  yaml,
+  table
+}
@@ -0,0 +1,112 @@
+// Health checks of service components. `HEALTHCHECK [options] HTTP <path>`
+// requests a path on the component port, `HEALTHCHECK [options] CMD <command>`
+// runs a command in the exec or shell form Docker uses. Durations are seconds
+// unless they end in ms, s, m or h.
+const units = { ms: 0.001, s: 1, m: 60, h: 3600 }
+
+/**
+ * Seconds in a duration like 10, 1.5s or 500ms
+ *
+ * @param {string|number} [value]
+ * @returns {number|null} null when not set or invalid
+ */
+function seconds (value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec((value === undefined || value === null) ? '' : String(value))
+  if (!match) return null
+  return Math.round(parseFloat(match[1]) * units[match[2] || 's'] * 1000) / 1000
+}
+
+/**
+ * The structured health check of a component
+ *
+ * @param {object} settings - component settings
+ * @returns {object|null} { type, method, path, status, port, command, shell, interval,
+ *   timeout, startPeriod, retries } where method, path, status and port are only set
+ *   for HTTP checks and command and shell only for CMD checks, null without a check
+ */
+function model (settings) {
+  if (!settings.healthCheckType) return null
+  const http = settings.healthCheckType === 'HTTP'
+  const check = {
+    type: settings.healthCheckType,
+    method: (http) ? settings.healthCheckMethod || 'GET' : null,
+    path: (http) ? settings.healthCheck : null,
+    status: (http && settings.healthCheckStatus) ? parseInt(settings.healthCheckStatus) : null,
+    port: (http && settings.port !== undefined) ? settings.port : null,
+    command: null,
+    shell: null,
+    interval: seconds(settings.healthCheckInterval),
+    timeout: seconds(settings.healthCheckTimeout),
+    startPeriod: seconds(settings.healthCheckStartPeriod),
+    retries: (settings.healthCheckRetries === undefined) ? null : parseInt(settings.healthCheckRetries)
+  }
+  if (!http) {
+    const exec = parseExec(settings.healthCheck)
+    check.command = exec || [settings.healthCheck]
+    check.shell = !exec
+  }
+  return check
+}
+
+/**
+ * The shell command an HTTP check runs, curl fails on error statuses unless a
+ * status is expected
+ *
+ * @param {object} check - model()
+ * @returns {string}
+ */
+function request (check) {
+  const url = `http://localhost:${check.port}${check.path}`
+  const method = (check.method === 'HEAD') ? ' -I' : (check.method !== 'GET') ? ` -X ${check.method}` : ''
+  if (!check.status) return `curl -fs${method} ${url} || exit 1`
+  return `[ "$(curl -s -o /dev/null -w '%{http_code}'${method} ${url})" = "${check.status}" ] || exit 1`
+}
+
+/**
+ * The check as a Dockerfile HEALTHCHECK instruction
+ *
+ * @param {object} check - model()
+ * @returns {string}
+ */
+function instruction (check) {
+  const options = [['interval', check.interval], ['timeout', check.timeout], ['start-period', check.startPeriod], ['retries', check.retries]]
+    .filter(([name, value]) => value !== null)
+    .map(([name, value]) => `--${name}=${value}${(name === 'retries') ? '' : 's'}`)
+  let command
+  if (check.type === 'HTTP') {
+    command = request(check)
+  } else {
+    command = (check.shell) ? check.command[0] : JSON.stringify(check.command)
+  }
+  return ['HEALTHCHECK'].concat(options, ['CMD', command]).join(' ')
+}
+
+/**
+ * The check as the test of a docker-compose healthcheck
+ *
+ * @param {object} check - model()
+ * @returns {string[]}
+ */
+function test (check) {
+  if (check.type === 'HTTP') return ['CMD-SHELL', request(check)]
+  return (check.shell) ? ['CMD-SHELL', check.command[0]] : ['CMD'].concat(check.command)
+}
+
+// the exec form, a JSON array of strings, Docker runs anything else with a shell
+function parseExec (value) {
+  if (!/^\s*\[/.test(value)) return null
+  try {
+    const parsed = JSON.parse(value)
+    return (Array.isArray(parsed) && parsed.length && parsed.every((arg) => typeof arg === 'string')) ? parsed : null
+  } catch (err) {
+    return null
+  }
+}
+
+module.exports = {
+  seconds,
+  model,
+  request,
+  instruction,
+  test
+}
@@ -0,0 +1,117 @@
+const path = require('path')
+const fs = require('fs')
+
+const ignoreFileNames = ['.gitignore', '.noopignore']
+
+class Ignore {
+  constructor (rootPath, patterns = [], rules = []) {
+    this.rootPath = path.resolve(rootPath)
+    this.rules = rules
+    this.overrides = patterns.map((pattern) => compile(this.rootPath, pattern)).filter(Boolean)
+  }
+
+  extend (base, contents) {
+    const rules = contents.split(/\r?\n/).map((line) => compile(base, line)).filter(Boolean)
+    const ignore = new Ignore(this.rootPath, [], this.rules.concat(rules))
+    ignore.overrides = this.overrides
+    return ignore
+  }
+
+  load (dir) {
+    return Promise.all(ignoreFileNames.map((fileName) => {
+      return fs.promises.readFile(path.resolve(dir, fileName))
+        .then((data) => data.toString())
+        .catch((err) => {
+          if (err.code === 'ENOENT') return ''
+          throw err
+        })
+    })).then((contents) => this.extend(path.resolve(dir), contents.join('\n')))
+  }
+
+  loadSync (dir) {
+    const contents = ignoreFileNames.map((fileName) => {
+      try {
+        return fs.readFileSync(path.resolve(dir, fileName)).toString()
+      } catch (err) {
+        if (err.code === 'ENOENT') return ''
+        throw err
+      }
+    })
+    return this.extend(path.resolve(dir), contents.join('\n'))
+  }
+
+  ignores (filePath, isDirectory) {
+    filePath = path.resolve(filePath)
+    return this.rules.concat(this.overrides).reduce((ignored, rule) => {
+      if (rule.directoryOnly && !isDirectory) return ignored
+      const relativePath = path.relative(rule.base, filePath).split(path.sep).join('/')
+      if (!relativePath || /^\.\.(\/|$)/.test(relativePath)) return ignored
+      return (rule.regex.test(relativePath)) ? !rule.negate : ignored
+    }, false)
+  }
+}
+
+Ignore.fileNames = ignoreFileNames
+
+/**
+ * Compile a gitignore style pattern
+ *
+ * @param {string} base - directory the pattern is relative to
+ * @param {string} line
+ * @returns {object|null} { base, pattern, negate, directoryOnly, anchored, regex } matching
+ *   paths relative to base, null for blank lines and comments
+ */
+Ignore.compile = compile
+
+module.exports = Ignore
+
+function compile (base, line) {
+  let pattern = line.replace(/(^|[^\\])\s+$/, '$1')
+  if (!pattern || pattern[0] === '#') return null
+  const rule = { base, negate: false, directoryOnly: false, pattern: line }
+  if (pattern[0] === '!') {
+    rule.negate = true
+    pattern = pattern.substring(1)
+  }
+  if (/\/$/.test(pattern)) {
+    rule.directoryOnly = true
+    pattern = pattern.replace(/\/+$/, '')
+  }
+  if (!pattern) return null
+  const anchored = rule.anchored = pattern.indexOf('/') !== -1
+  pattern = pattern.replace(/^\//, '')
+  let source = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    if (char === '*' && pattern[i + 1] === '*' &&
+      (i === 0 || pattern[i - 1] === '/') &&
+      (i + 2 === pattern.length || pattern[i + 2] === '/')) {
+      if (i + 2 === pattern.length) {
+        source += '.*'
+        i += 1
+      } else {
+        source += '(?:.*/)?'
+        i += 2
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2)
+      const range = pattern.substring(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')
+      source += `[${range}]`
+      i = end
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += escape(pattern[++i])
+    } else {
+      source += escape(char)
+    }
+  }
+  rule.regex = new RegExp((anchored ? '^' : '^(?:.*/)?') + source + '$')
+  return rule
+}
+
+function escape (char) {
+  return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+}
@@ -0,0 +1,173 @@
+// ${...} references in ENV defaults and HEALTHCHECK arguments. A bare name is
+// an ENV key of the same component or an ARG, `resource.<name>.<attribute>` a
+// connection attribute of a resource the component uses and
+// `component.<name>.<url|host|port>` another component. References only known
+// once deployed are kept as written. $NAME without braces is left to Docker.
+// Directives noop reads itself take their arguments as written, references in
+// them are errors.
+const reference = /(\\?)\$\{([^}]*)\}/g
+const bare = /^([a-zA-Z_][a-zA-Z0-9_]*)(?::([-+])(.*))?$/
+const qualified = /^(resource|component)\.([^.]+)\.([a-zA-Z]+)$/
+const unsupported = ['COMPONENT', 'ROUTE', 'RESOURCE', 'STATIC', 'ASSETS', 'CRON', 'LIFECYCLE', 'CPU', 'MEMORY', 'EXPOSE', 'DOCKERFILE']
+const { LocatedError, locate } = require('./diagnostic')
+
+class InterpolationError extends LocatedError {}
+
+/**
+ * Find the ${...} references in a value
+ *
+ * @param {string} value
+ * @returns {object[]} each { expression, index, name, modifier, word } for a bare
+ *   name, with ${NAME:-word} and ${NAME:+word} modifiers, or { expression, index,
+ *   kind, target, attribute } for resource and component references
+ */
+function parse (value) {
+  const found = []
+  let match
+  reference.lastIndex = 0
+  while ((match = reference.exec(String(value)))) {
+    if (match[1]) continue
+    const expression = match[2]
+    const index = match.index
+    const name = bare.exec(expression)
+    const other = qualified.exec(expression)
+    if (name) {
+      found.push({ expression, index, name: name[1], modifier: name[2], word: name[3] })
+    } else if (other) {
+      found.push({ expression, index, kind: other[1], target: other[2], attribute: other[3] })
+    } else {
+      found.push({ expression, index })
+    }
+  }
+  return found
+}
+
+/**
+ * Replace references in a value
+ *
+ * @param {string} value
+ * @param {function} lookup - (reference) => replacement, undefined keeps it as written
+ * @returns {string}
+ */
+function substitute (value, lookup) {
+  const references = parse(value)
+  let result = ''
+  let position = 0
+  references.forEach((ref) => {
+    const replacement = lookup(ref)
+    result += value.substring(position, ref.index)
+    result += (replacement === undefined) ? `\${${ref.expression}}` : replacement
+    position = ref.index + ref.expression.length + 3
+  })
+  return result + value.substring(position)
+}
+
+/**
+ * Resolve the ENV defaults and HEALTHCHECK of a component, setting
+ * variables[key].value and settings.healthCheck of target
+ *
+ * @param {Component} component
+ * @param {object} [target] - { variables, settings }, the component by default
+ * @param {Directive[]} [overrides] - ENV directives replacing those of the component
+ * @returns {object} { errors, runtime } where runtime are the ENV keys Docker
+ *   cannot set at build time, as they depend on values only known once deployed
+ *   or on ENV keys declared after them. Errors include references in directives
+ *   that do not resolve them.
+ */
+function resolve (component, target = component, overrides = []) {
+  const errors = []
+  const app = component.app
+  const env = {}
+  const args = {}
+  const values = {}
+  const runtime = {}
+  const state = {}
+  component.directives.concat(overrides).forEach((directive) => {
+    if (directive.cmd === 'ENV') env[directive.params.key] = directive
+    if (directive.cmd === 'ARG') {
+      const [name, ...value] = directive.params.name.split('=')
+      args[name] = (value.length) ? value.join('=') : null
+    }
+  })
+  const fail = (message, code, directive, ref) => errors.push(new InterpolationError(message, locate(code, directive, `\${${ref.expression}}`)))
+  // value of a reference, undefined when only known once deployed
+  const lookup = (ref, directive, self) => {
+    if (ref.kind === 'resource') {
+      const resource = component.resources.find((resource) => resource.name === ref.target)
+      if (!resource) return fail(`Component '${component.name}' does not use resource '${ref.target}'`, 'undefined-reference', directive, ref)
+      const connection = resource.connection()
+      const variable = Object.keys(connection).map((key) => connection[key]).find((variable) => variable.attribute === ref.attribute)
+      if (!variable) return fail(`Resource '${ref.target}' has no attribute '${ref.attribute}'`, 'undefined-reference', directive, ref)
+      if (self) runtime[self] = runtime[self] || variable.value === null
+      return (variable.value === null) ? undefined : String(variable.value)
+    }
+    if (ref.kind === 'component') {
+      const other = app.components[ref.target]
+      if (!other) return fail(`Unknown component '${ref.target}'`, 'undefined-reference', directive, ref)
+      const served = other.type === 'service' || other.type === 'static'
+      if (['url', 'host', 'port'].indexOf(ref.attribute) === -1 || !served || (ref.attribute === 'port' && other.settings.port === undefined)) {
+        return fail(`Component '${ref.target}' has no ${ref.attribute}`, 'undefined-reference', directive, ref)
+      }
+      if (ref.attribute === 'port') return String(other.settings.port)
+      if (self) runtime[self] = true
+      return undefined
+    }
+    if (!ref.name) return fail(`Invalid reference '\${${ref.expression}}'`, 'invalid-reference', directive, ref)
+    let value
+    let defined = true
+    // ENV PATH /app/bin:${PATH} extends the value from the base image
+    if (ref.name === self) {
+      value = undefined
+    } else if (env[ref.name] && isSecret(ref.name)) {
+      // secrets are only known when running
+      if (self) runtime[self] = true
+      value = undefined
+    } else if (env[ref.name]) {
+      if (state[ref.name] === 'resolving') return fail(`Reference cycle through '${ref.name}'`, 'reference-cycle', directive, ref)
+      value = variable(ref.name)
+      // Docker only sees ENV keys declared earlier
+      const later = component.directives.indexOf(env[ref.name]) > component.directives.indexOf(directive)
+      if (self && (runtime[ref.name] || later)) runtime[self] = true
+    } else if (args[ref.name] !== undefined) {
+      value = (args[ref.name] === null) ? undefined : args[ref.name]
+    } else {
+      defined = false
+      if (!ref.modifier) return fail(`Undefined variable '${ref.name}'`, 'undefined-reference', directive, ref)
+    }
+    if (ref.modifier && defined && value === undefined) return undefined
+    if (ref.modifier === '-') return (defined && value !== '') ? value : ref.word
+    if (ref.modifier === '+') return (defined && value !== '') ? ref.word : ''
+    return value
+  }
+  const variable = (key) => {
+    if (state[key] === 'resolved') return values[key]
+    const directive = env[key]
+    state[key] = 'resolving'
+    values[key] = substitute(String(directive.params.defaultValue), (ref) => lookup(ref, directive, key))
+    state[key] = 'resolved'
+    return values[key]
+  }
+  const isSecret = (key) => !!(target.variables[key] && target.variables[key].secret)
+  Object.keys(env).filter((key) => !isSecret(key)).forEach((key) => {
+    const value = variable(key)
+    if (target.variables[key]) target.variables[key].value = value
+  })
+  component.directives.filter((directive) => unsupported.indexOf(directive.cmd) !== -1).forEach((directive) => {
+    parse(directive.raw).forEach((ref) => {
+      fail(`References are not resolved in ${directive.cmd}, only in ENV and HEALTHCHECK`, 'unsupported-reference', directive, ref)
+    })
+  })
+  const check = component.directives.filter((directive) => directive.cmd === 'HEALTHCHECK').pop()
+  // settings.healthCheck is read from the directive again before each call
+  if (check && target.settings.healthCheck) {
+    target.settings.healthCheck = substitute(target.settings.healthCheck, (ref) => lookup(ref, check))
+  }
+  return { errors, runtime: Object.keys(runtime).filter((key) => runtime[key]) }
+}
+
+module.exports = {
+  parse,
+  substitute,
+  resolve,
+  InterpolationError
+}
@@ -1,37 +1,48 @@
 const path = require('path')
+const util = require('util')
 const fs = require('fs')
 const async = require('async')
 const parser = require('docker-file-parser')
 
 const Directive = require('./directive')
 const Component = require('./component')
+const Cache = require('./cache')
+const { LocatedError, locate } = require('./diagnostic')
 
-class ManifestError extends Error {
-  constructor (...args) {
-    super(...args)
-    this.name = 'ManifestError'
-  }
-}
+// directives an environment override file may use
+const overridable = ['CPU', 'MEMORY', 'ENV', 'RESOURCE']
+
+class ManifestError extends LocatedError {}
 
 class Manifest {
   constructor (filePath, app) {
     this.filePath = filePath
     this.contents = null
+    this.hash = null
     this.directives = []
     this.app = app
     this.components = []
+    this.overrides = null
   }
 
   discover (done) {
+    if (!done) return util.promisify(this.discover).call(this)
     fs.readFile(this.filePath, (err, data) => {
       if (err) return done(err)
       this.contents = data.toString()
-      this.parse((err) => {
+      this.hash = Cache.hash(this.contents)
+      async.series([
+        (done) => this.parse(done),
+        (done) => this.loadOverrides(done)
+      ], (err) => {
         if (err) return done(err)
         async.each(this.components, (component, done) => {
           if (this.app.components[component.name]) {
-            const err = new ManifestError(`Duplicate component name: ${component.name}`)
-            return done(err)
+            const directive = component.directives[0]
+            const err = new ManifestError(`Duplicate component name: ${component.name}`, locate('duplicate-component', directive))
+            if (!this.app.options.diagnostics) return done(err)
+            this.app.report(err)
+            return done()
           }
           this.app.components[component.name] = component
           done()
@@ -40,10 +51,85 @@ class Manifest {
     })
   }
 
+  // files besides the Noopfile that components were built from, e.g. with
+  // DOCKERFILE, a missing override file has a null hash
+  dependencies () {
+    const dependencies = this.components.filter((component) => component.dockerfileSource).map((component) => {
+      return { filePath: component.dockerfileSource.filePath, hash: component.dockerfileSource.hash }
+    })
+    if (this.overrides) dependencies.push({ filePath: this.overrides.filePath, hash: this.overrides.hash })
+    return dependencies
+  }
+
+  /**
+   * Read the overrides for app.options.environment from Noopfile.<environment>,
+   * COMPONENT <name> sections changing CPU, MEMORY and ENV of the components in
+   * this Noopfile and RESOURCE <name> -s key=value lines changing resource settings
+   *
+   * @param {function} done
+   */
+  loadOverrides (done) {
+    const environment = this.app && this.app.options.environment
+    if (!environment) return done()
+    const filePath = `${this.filePath}.${environment}`
+    this.overrides = { filePath, hash: null, components: {}, resources: [] }
+    this.components.forEach((component) => {
+      component.overrides = this.overrides.components[component.name] = []
+    })
+    fs.readFile(filePath, (err, data) => {
+      if (err && err.code === 'ENOENT') return done()
+      if (err) return done(err)
+      const contents = data.toString()
+      const lines = contents.split(/\r?\n/)
+      this.overrides.hash = Cache.hash(contents)
+      let section = null
+      const fail = (message, code, directive) => {
+        const err = new ManifestError(message, locate(code, directive))
+        if (!this.app.options.diagnostics) return err
+        this.app.report(err)
+      }
+      async.eachSeries(parser.parse(contents), ({ raw, lineno }, done) => {
+        const directive = new Directive(raw || lines[lineno - 1].trim(), filePath, lineno)
+        if (directive.cmd === 'COMPONENT') {
+          // the type may be left out
+          section = this.components.find((component) => component.name === directive.args[0]) || false
+          if (!section) return done(fail(`Unknown component '${directive.args[0]}' in ${path.basename(this.filePath)}`, 'unknown-override-component', directive))
+          return done()
+        }
+        directive.parse((err) => {
+          if (err) return this.app.collect(done)(err)
+          if (overridable.indexOf(directive.cmd) === -1) {
+            return done(fail(`Directive '${directive.cmd}' cannot be overridden, only ${overridable.join(', ')}`, 'unsupported-override', directive))
+          }
+          if (directive.cmd === 'RESOURCE') {
+            if (directive.params.type) return done(fail(`Overrides can only change settings of resource '${directive.params.name}'`, 'unsupported-override', directive))
+            this.overrides.resources.push(directive)
+            return done()
+          }
+          // lines of an unknown component are already reported
+          if (section === false) return done()
+          if (!section) return done(fail(`Directive '${directive.cmd}' must follow a COMPONENT <name> line`, 'unsupported-override', directive))
+          section.overrides.push(directive)
+          done()
+        })
+      }, done)
+    })
+  }
+
   parse (done) {
-    const parsedDirectives = parser.parse(this.contents)
+    const cache = this.app && this.app.cache
+    let parsedDirectives = cache && cache.get(this.filePath, this.hash)
+    if (!parsedDirectives) {
+      const lines = this.contents.split(/\r?\n/)
+      // the parser gives no raw line for instructions Docker rejects, like an ENV without a value
+      parsedDirectives = parser.parse(this.contents).map(({ raw, lineno }) => ({ raw: raw || lines[lineno - 1].trim(), lineno }))
+    }
+    // cached with their params once parsed, lines that failed are parsed again to report them
+    const entries = []
     const sectionCmds = ['COMPONENT']
+    const diagnostics = this.app && this.app.options.diagnostics
     let sectionDirectives = []
+    let skipSection = false
     const rootPath = path.parse(this.filePath).dir + '/'
     const pushSection = () => {
       let component
@@ -56,20 +142,41 @@ class Manifest {
       sectionDirectives = []
     }
     async.eachLimit(parsedDirectives, 1, (dir, done) => {
-      new Directive(dir.raw, this.filePath, dir.lineno).parse((err, directive) => {
-        if (err) return done(err)
-        this.directives.push(directive)
-        if (sectionCmds.indexOf(directive.cmd) !== -1 && sectionDirectives.length) {
+      // directives of an unknown type, say from a plugin no longer loaded, are parsed again
+      const restore = dir.values && Directive.isRegistered(dir.cmd)
+      const directive = (restore) ? Directive.restore(dir, this.filePath) : new Directive(dir.raw, this.filePath, dir.lineno)
+      const parse = (restore) ? (done) => done(null) : (done) => directive.parse(done)
+      parse((err) => {
+        entries.push((err) ? { raw: dir.raw, lineno: dir.lineno } : {
+          raw: directive.raw,
+          lineno: dir.lineno,
+          cmd: directive.cmd,
+          args: directive.args,
+          values: directive.values
+        })
+        const isSection = sectionCmds.indexOf(directive.cmd) !== -1
+        if (isSection && sectionDirectives.length) {
           pushSection()
         }
-        sectionDirectives.push(directive)
+        if (isSection) skipSection = !!err
+        if (err && !diagnostics) return done(err)
+        if (err) {
+          // keep going so every directive in the manifest gets checked
+          this.app.report(err)
+          return done()
+        }
+        this.directives.push(directive)
+        if (!skipSection) sectionDirectives.push(directive)
         done()
       })
     }, (err) => {
       if (sectionDirectives.length) pushSection()
+      if (cache && !err) cache.set(this.filePath, this.hash, entries)
       done(err)
     })
   }
 }
 
+Manifest.ManifestError = ManifestError
+
 module.exports = Manifest
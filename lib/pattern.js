@@ -0,0 +1,135 @@
+// Route patterns are matched case insensitively with leading and trailing
+// slashes ignored. `*` matches one or more characters including `/` and a
+// `:name` segment matches a single path segment.
+const paramSegment = /^:([a-zA-Z_][a-zA-Z0-9_]*)$/
+const other = '\u0000'
+
+class Pattern {
+  constructor (pattern) {
+    this.pattern = pattern
+    this.normalized = normalize(pattern)
+    this.captures = []
+    this.tokens = []
+    let source = ''
+    this.normalized.split('/').forEach((segment, index) => {
+      if (index) {
+        source += '/'
+        this.tokens.push({ char: '/' })
+      }
+      const param = paramSegment.exec(segment)
+      if (param) {
+        source += '([^/]+)'
+        this.captures.push(param[1])
+        this.tokens.push({ slash: false }, { slash: false, repeat: true })
+        return false
+      }
+      segment.split('').forEach((char) => {
+        if (char === '*') {
+          source += '(.+)'
+          this.captures.push(null)
+          this.tokens.push({ slash: true }, { slash: true, repeat: true })
+        } else {
+          source += escape(char)
+          this.tokens.push({ char })
+        }
+      })
+    })
+    this.regex = new RegExp('^' + source + '$', 'i')
+    // params are interchangeable for comparison, /users/:id is the same route as /users/:name
+    this.shape = this.normalized.split('/').map((segment) => paramSegment.test(segment) ? ':' : segment).join('/')
+  }
+
+  get dynamic () {
+    return this.captures.length > 0
+  }
+
+  /**
+   * @param {string} requestPath
+   * @returns {object|null} { wildcards, params }
+   */
+  exec (requestPath) {
+    const match = this.regex.exec(normalize(requestPath, true))
+    if (!match) return null
+    const result = { wildcards: [], params: {} }
+    this.captures.forEach((name, index) => {
+      if (name) {
+        result.params[name] = match[index + 1]
+      } else {
+        result.wildcards.push(match[index + 1])
+      }
+    })
+    return result
+  }
+
+  // true when at least one path matches both patterns
+  overlaps (other) {
+    return explore(this, other, (mine, theirs) => accepts(this, mine) && accepts(other, theirs))
+  }
+
+  // true when every path matching the other pattern also matches this one
+  covers (other) {
+    return !explore(this, other, (mine, theirs) => !accepts(this, mine) && accepts(other, theirs))
+  }
+}
+
+Pattern.normalize = normalize
+
+module.exports = Pattern
+
+function normalize (pattern, preserveCase) {
+  if (!preserveCase) pattern = pattern.toLowerCase()
+  return pattern.replace(/\/+$/, '').replace(/^\//, '')
+}
+
+function escape (string) {
+  return string.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// walks both patterns in step over every input, stopping when found() holds
+function explore (first, second, found) {
+  const alphabet = ['/', other]
+  first.tokens.concat(second.tokens).forEach((token) => {
+    if (token.char && alphabet.indexOf(token.char) === -1) alphabet.push(token.char)
+  })
+  const start = [closure(first, [0]), closure(second, [0])]
+  const seen = {}
+  const queue = [start]
+  while (queue.length) {
+    const state = queue.shift()
+    const key = state.map((positions) => positions.join(',')).join('|')
+    if (seen[key]) continue
+    seen[key] = true
+    if (found(state[0], state[1])) return true
+    alphabet.forEach((char) => {
+      const next = [step(first, state[0], char), step(second, state[1], char)]
+      if (next[0].length || next[1].length) queue.push(next)
+    })
+  }
+  return false
+}
+
+function step (pattern, positions, char) {
+  const next = []
+  positions.forEach((position) => {
+    const token = pattern.tokens[position]
+    if (!token) return false
+    const matches = (token.char !== undefined) ? token.char === char : (token.slash || char !== '/')
+    if (matches) next.push(token.repeat ? position : position + 1)
+  })
+  return closure(pattern, next)
+}
+
+function closure (pattern, positions) {
+  const result = []
+  positions.forEach(function add (position) {
+    if (result.indexOf(position) !== -1) return false
+    result.push(position)
+    const token = pattern.tokens[position]
+    if (token && token.repeat) add(position + 1)
+  })
+  return result.sort((a, b) => a - b)
+}
+
+function accepts (pattern, positions) {
+  return positions.indexOf(pattern.tokens.length) !== -1
+}
@@ -0,0 +1,117 @@
+const path = require('path')
+const fs = require('fs')
+
+const Directive = require('./directive')
+const Component = require('./component')
+const Resource = require('./resource')
+const { LocatedError } = require('./diagnostic')
+
+const configFileName = 'noop.config.json'
+// registrations are global to the process, each plugin is only loaded once
+const loaded = []
+
+class PluginError extends LocatedError {}
+
+/**
+ * Register a directive, using the same schema shape as the built in directives
+ *
+ * @param {string} name - directive name, e.g. 'TIMEOUT'
+ * @param {object} schema - params keyed by name with operand/option/required/match/enum/default
+ * @param {object} [options]
+ * @param {string[]} [options.componentTypes] - component types allowed to use the directive
+ * @param {function} [options.settings] - (settings, directive, component) extractor
+ */
+function registerDirective (name, schema, options = {}) {
+  Directive.register(name, schema)
+  if (options.componentTypes) {
+    options.componentTypes.forEach((type) => Component.allowDirective(type, name))
+  }
+  if (options.settings) Component.registerSettings(name, options.settings)
+}
+
+/**
+ * @param {string} name - component type, e.g. 'worker'
+ * @param {object} definition - { allowedDirectives, settings } where settings are defaults
+ */
+function registerComponentType (name, definition) {
+  Component.registerType(name, definition)
+}
+
+/**
+ * @param {string} name - resource type, e.g. 'memcached'
+ * @param {object} definition - { settings } or { alias }
+ */
+function registerResourceType (name, definition) {
+  Resource.registerType(name, definition)
+}
+
+/**
+ * @param {string} type - resource type, e.g. 'mysql'
+ * @param {string|function} naming - template using {NAME}, {TYPE} and {KEY}, or
+ *   (resourceName, key) => variable name
+ */
+function setConnectionNaming (type, naming) {
+  Resource.setConnectionNaming(type, naming)
+}
+
+function load (rootPath, done) {
+  const configFile = path.resolve(rootPath, configFileName)
+  fs.readFile(configFile, (err, data) => {
+    if (err && err.code === 'ENOENT') return done(null, [])
+    if (err) return done(err)
+    let config
+    try {
+      config = JSON.parse(data.toString())
+    } catch (err) {
+      return done(new PluginError(`Invalid plugin config: ${err.message}`, { code: 'invalid-plugin-config', file: configFile }))
+    }
+    const plugins = config.plugins || []
+    if (!Array.isArray(plugins)) {
+      return done(new PluginError('Plugin config \'plugins\' must be an array', { code: 'invalid-plugin-config', file: configFile }))
+    }
+    let loadedPaths
+    try {
+      loadedPaths = plugins.map((plugin) => loadPlugin(plugin, rootPath, configFile))
+    } catch (err) {
+      return done(err)
+    }
+    done(null, loadedPaths)
+  })
+}
+
+/**
+ * Drop everything plugins registered and forget which plugins were loaded, so
+ * the next discovery loads them again
+ */
+function reset () {
+  Directive.reset()
+  Component.reset()
+  Resource.reset()
+  loaded.length = 0
+}
+
+function loadPlugin (plugin, rootPath, configFile) {
+  let pluginPath
+  try {
+    pluginPath = require.resolve(plugin, { paths: [path.resolve(rootPath)] })
+  } catch (err) {
+    throw new PluginError(`Unable to resolve plugin '${plugin}'`, { code: 'plugin-not-found', file: configFile })
+  }
+  if (loaded.indexOf(pluginPath) !== -1) return pluginPath
+  const register = require(pluginPath)
+  if (typeof register !== 'function') {
+    throw new PluginError(`Plugin '${plugin}' must export a function`, { code: 'invalid-plugin', file: configFile })
+  }
+  register(module.exports)
+  loaded.push(pluginPath)
+  return pluginPath
+}
+
+module.exports = {
+  registerDirective,
+  registerComponentType,
+  registerResourceType,
+  setConnectionNaming,
+  load,
+  reset
+}
@@ -1,18 +1,48 @@
 // const minimist = require('minimist')
+const util = require('util')
+const { LocatedError, locate } = require('./diagnostic')
 
+const KB = 1024
+const MB = 1024 * KB
+const GB = 1024 * MB
+const MINUTE = 60
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+// sizes are in bytes and durations in seconds. connection lists the environment
+// variables a resource injects into components using it, keyed by the part of
+// the name after the naming prefix, with the attribute each one carries
 const resourceTypes = {
   s3: {
     settings: {
       acl: {
-        enum: ['private', 'public-read', 'public-read-write']
+        enum: ['private', 'public-read', 'public-read-write'],
+        default: 'private'
+      },
+      versioning: {
+        type: 'boolean',
+        default: false
       }
+    },
+    connection: {
+      variables: { BUCKET: 'name', ENDPOINT: 'endpoint' }
     }
   },
   mysql: {
     settings: {
       version: {
-        enum: ['5.6', '5.7']
+        enum: ['5.6', '5.7'],
+        default: '5.7'
+      },
+      storage: {
+        type: 'size',
+        min: 20 * GB,
+        max: 16384 * GB
       }
+    },
+    connection: {
+      port: 3306,
+      variables: { HOST: 'host', PORT: 'port', DATABASE: 'name', USERNAME: 'username', PASSWORD: 'password' }
     }
   },
   dynamodb: {
@@ -24,43 +54,213 @@ const resourceTypes = {
         required: true,
         enum: ['S', 'N', 'B']
       },
-      rangeKeyName: {},
+      rangeKeyName: {
+        requires: ['rangeKeyType']
+      },
       rangeKeyType: {
-        enum: ['S', 'N', 'B']
+        enum: ['S', 'N', 'B'],
+        requires: ['rangeKeyName']
       }
+    },
+    connection: {
+      variables: { TABLE: 'name', ENDPOINT: 'endpoint' }
     }
   },
   postgresql: {
     settings: {
       version: {
-        enum: ['9.6', '10']
+        enum: ['9.6', '10'],
+        default: '10'
+      },
+      storage: {
+        type: 'size',
+        min: 20 * GB,
+        max: 16384 * GB
+      }
+    },
+    connection: {
+      port: 5432,
+      variables: { HOST: 'host', PORT: 'port', DATABASE: 'name', USERNAME: 'username', PASSWORD: 'password' }
+    }
+  },
+  redis: {
+    settings: {
+      version: {
+        enum: ['5.0', '6.0'],
+        default: '6.0'
+      },
+      memory: {
+        type: 'size',
+        min: 128 * MB,
+        max: 256 * GB
+      },
+      evictionPolicy: {
+        enum: ['noeviction', 'allkeys-lru', 'volatile-lru', 'allkeys-random', 'volatile-random', 'volatile-ttl'],
+        default: 'noeviction'
+      },
+      persistent: {
+        type: 'boolean',
+        default: false
+      }
+    },
+    connection: {
+      port: 6379,
+      variables: { HOST: 'host', PORT: 'port' }
+    }
+  },
+  sqs: {
+    settings: {
+      fifo: {
+        type: 'boolean',
+        default: false
+      },
+      visibilityTimeout: {
+        type: 'duration',
+        default: 30,
+        min: 0,
+        max: 12 * HOUR
+      },
+      retention: {
+        type: 'duration',
+        default: 4 * DAY,
+        min: MINUTE,
+        max: 14 * DAY
+      },
+      delay: {
+        type: 'duration',
+        default: 0,
+        min: 0,
+        max: 15 * MINUTE
+      },
+      maxMessageSize: {
+        type: 'size',
+        default: 256 * KB,
+        min: KB,
+        max: 256 * KB
+      },
+      deadLetterQueue: {
+        requires: ['maxReceiveCount']
+      },
+      maxReceiveCount: {
+        type: 'number',
+        min: 1,
+        max: 1000,
+        requires: ['deadLetterQueue']
+      }
+    },
+    connection: {
+      variables: { QUEUE: 'name', URL: 'url' }
+    }
+  },
+  sns: {
+    settings: {
+      fifo: {
+        type: 'boolean',
+        default: false
+      },
+      displayName: {
+        match: /^[\w-]{1,100}$/
+      }
+    },
+    connection: {
+      variables: { TOPIC: 'name', ARN: 'arn' }
+    }
+  },
+  elasticsearch: {
+    settings: {
+      version: {
+        enum: ['6.8', '7.4', '7.7'],
+        default: '7.7'
+      },
+      instanceCount: {
+        type: 'number',
+        default: 1,
+        min: 1,
+        max: 20
+      },
+      volumeSize: {
+        type: 'size',
+        default: 10 * GB,
+        min: 10 * GB,
+        max: 1024 * GB
+      },
+      dedicatedMaster: {
+        type: 'boolean',
+        default: false
       }
+    },
+    connection: {
+      port: 443,
+      variables: { HOST: 'host', PORT: 'port' }
     }
+  },
+  queue: {
+    alias: 'sqs'
+  },
+  topic: {
+    alias: 'sns'
   }
 }
 
-class ResourceError extends Error {
-  constructor (...args) {
-    super(...args)
-    this.name = 'ResourceError'
+const settingTypes = {
+  string: (value) => value,
+  number: (value) => {
+    if (/^-?\d+(\.\d+)?$/.test(value)) return parseFloat(value)
+  },
+  boolean: (value) => {
+    if (/^(true|yes|on|1)$/i.test(value)) return true
+    if (/^(false|no|off|0)$/i.test(value)) return false
+  },
+  size: (value) => {
+    const units = { '': 1, b: 1, k: KB, kb: KB, m: MB, mb: MB, g: GB, gb: GB, t: 1024 * GB, tb: 1024 * GB }
+    const match = /^(\d+(?:\.\d+)?)\s*(|b|kb?|mb?|gb?|tb?)$/i.exec(value)
+    if (match) return Math.round(parseFloat(match[1]) * units[match[2].toLowerCase()])
+  },
+  duration: (value) => {
+    const units = { '': 1, ms: 0.001, s: 1, m: MINUTE, h: HOUR, d: DAY }
+    const match = /^(\d+(?:\.\d+)?)\s*(|ms|s|m|h|d)$/i.exec(value)
+    if (match) return parseFloat(match[1]) * units[match[2].toLowerCase()]
   }
 }
 
+// credentials are injected when deploying and never known to discovery
+const credentials = ['username', 'password']
+
+// variable names for a resource, {NAME} and {TYPE} are uppercased with
+// anything but letters and digits replaced by underscores
+const defaultNaming = '{NAME}_{KEY}'
+
+const settingUnits = {
+  size: ' bytes',
+  duration: ' seconds'
+}
+
+class ResourceError extends LocatedError {}
+
 class Resource {
-  constructor (name) {
+  constructor (name, app) {
+    this.app = app
     this.name = name
     this.type = null
     this.settings = {}
     this.componentParams = {}
     this.directives = []
+    this.warnings = []
+    this.base = null
   }
 
   validate (done) {
-    // TODO actually validate params against resourceTypes schemas
-    const props = resourceTypes[this.type]
+    if (!done) return util.promisify(this.validate).call(this)
+    const props = schema(this.type)
     const errors = []
+    const declarations = {}
+    this.warnings = []
+    this.base = null
+    if (!this.type) {
+      return done(new ResourceError(`Resource '${this.name}' missing type`, locate('missing-resource-type', this.directives[0])))
+    }
     if (!props) {
-      return done(new ResourceError(`Unknown resource type '${this.type}'`))
+      return done(new ResourceError(`Unknown resource type '${this.type}'`, locate('unknown-resource-type', this.directives[0])))
     }
     this.directives.forEach((directive) => {
       if (!directive.params.setting) return false
@@ -68,50 +268,208 @@ class Resource {
       settings.forEach((setting) => {
         const match = /^(.+)=(.+)$/.exec(setting)
         if (!match) {
-          // TODO surface as a warning on malformed setting
-          return false
+          return this.warnings.push(new ResourceError(`Malformed setting '${setting}' for resource '${this.name}', expected key=value`, locate('malformed-resource-setting', directive, setting)))
         }
         const key = match[1]
         const value = match[2]
-        if (!props.settings[key]) return false
+        if (!props.settings[key]) {
+          return errors.push(new ResourceError(`Unknown setting '${key}' for ${this.type} resource '${this.name}'`, locate('unknown-resource-setting', directive, setting)))
+        }
         if (this.settings[key] === value) {
           return true
         } else if (this.settings[key] && this.settings[key] !== value) {
-          console.log('DANGER WILL ROBINSON!')
-          // TODO surface warning on setting declaration conflict
+          const declared = declarations[key]
+          const details = locate('resource-setting-conflict', directive, setting)
+          details.related = [{ file: declared.file, line: declared.lineNumber }]
+          this.warnings.push(new ResourceError(`Conflicting value '${value}' for setting '${key}' of resource '${this.name}', already declared as '${this.settings[key]}'`, details))
         } else {
           this.settings[key] = value
+          declarations[key] = directive
         }
       })
     })
-    Object.keys(props.settings).forEach((paramName) => {
-      const param = props.settings[paramName]
-      if (param.required && !this.settings[paramName]) {
-        return errors.push(new ResourceError(`Missing required resource setting '${paramName}' for resource '${this.name}'`))
-      }
-      if (this.settings[paramName] && param.enum && param.enum.indexOf(this.settings[paramName]) === -1) {
-        return errors.push(new ResourceError(`Invalid resource setting value '${this.settings[paramName]}' for '${paramName}'`))
-      }
-    })
-    if (!this.type) {
-      return done(new ResourceError(`Resource '${this.name} missing type`))
+    // with an environment the settings before its overrides are kept as base
+    if (this.app && this.app.options.environment) {
+      const base = { settings: Object.assign({}, this.settings), declarations: Object.assign({}, declarations) }
+      this.overrides().forEach((directive) => {
+        const settings = (typeof directive.params.setting === 'string') ? [directive.params.setting] : (directive.params.setting || [])
+        settings.forEach((setting) => {
+          const match = /^(.+)=(.+)$/.exec(setting)
+          if (!match || !props.settings[match[1]]) {
+            return errors.push(new ResourceError(`Invalid override '${setting}' for ${this.type} resource '${this.name}'`, locate('unknown-resource-setting', directive, setting)))
+          }
+          this.settings[match[1]] = match[2]
+          declarations[match[1]] = directive
+        })
+      })
+      const baseErrors = convert(this, props, base.settings, base.declarations)
+      // errors in both are reported once
+      const key = (err) => `${err.message} ${err.file}:${err.line}`
+      const seen = errors.map(key)
+      convert(this, props, this.settings, declarations).concat(baseErrors).forEach((err) => {
+        if (seen.indexOf(key(err)) !== -1) return false
+        seen.push(key(err))
+        errors.push(err)
+      })
+      this.base = { settings: base.settings }
+    } else {
+      errors.push(...convert(this, props, this.settings, declarations))
+    }
+    if (this.app && this.app.options.strict) {
+      errors.push(...this.warnings)
+    } else if (this.app) {
+      this.warnings.forEach((warning) => this.app.report(warning, 'warning'))
+    }
+    if (errors.length && this.app && this.app.options.diagnostics) {
+      errors.forEach((err) => this.app.report(err))
+      return done(null)
     }
     done((errors.length) ? errors[0] : null)
   }
+
+  // RESOURCE lines for this resource in the override files of app.options.environment
+  overrides () {
+    const overrides = [].concat(...this.app.manifests.map((manifest) => (manifest.overrides) ? manifest.overrides.resources : []))
+    return overrides.filter((directive) => directive.params.name === this.name)
+  }
+
+  /**
+   * The environment variables this resource injects into components using it
+   *
+   * @returns {object} keyed by variable name, each { resource, attribute, value, secret }
+   *   where value is null when only known once deployed
+   */
+  connection () {
+    const props = schema(this.type)
+    const connection = (props && props.connection) || {}
+    const naming = connection.naming || defaultNaming
+    const variables = {}
+    Object.keys(connection.variables || {}).forEach((key) => {
+      const attribute = connection.variables[key]
+      const name = (typeof naming === 'function') ? naming(this.name, key) : naming
+        .replace(/\{NAME\}/g, identifier(this.name))
+        .replace(/\{TYPE\}/g, identifier(this.type))
+        .replace(/\{KEY\}/g, key)
+      let value = null
+      if (attribute === 'name') value = this.name
+      if (attribute === 'port' && connection.port !== undefined) value = connection.port
+      variables[name] = { resource: this.name, attribute, value, secret: credentials.indexOf(attribute) !== -1 }
+    })
+    return variables
+  }
 }
 
 Resource.register = (component, directive, done) => {
   const name = directive.params.name
   const app = component.app
-  const resource = app.resources[name] || new Resource(name)
+  const resource = app.resources[name] || new Resource(name, app)
   resource.directives.push(directive)
   app.resources[name] = resource
   if (!resource.type && directive.params.type) {
     resource.type = directive.params.type
   } else if (resource.type && directive.params.type && resource.type !== directive.params.type) {
-    return done(new ResourceError(`Resource '${name}' already declared as type '${resource.type}'`))
+    return done(new ResourceError(`Resource '${name}' already declared as type '${resource.type}'`, locate('resource-type-conflict', directive)))
   }
   done(null, resource)
 }
 
+// built in types as declared, plugins cannot replace these and reset undoes
+// setConnectionNaming on them
+const builtIns = {}
+Object.keys(resourceTypes).forEach((name) => {
+  builtIns[name] = Object.assign({}, resourceTypes[name])
+})
+
+Resource.registerType = (name, definition) => {
+  if (!definition || (!definition.alias && typeof definition.settings !== 'object')) {
+    throw new TypeError(`Resource type '${name}' must declare settings`)
+  }
+  Object.keys(definition.settings || {}).forEach((key) => {
+    const type = definition.settings[key].type
+    if (type && !settingTypes[type]) throw new TypeError(`Unknown setting type '${type}' for '${name}.${key}'`)
+  })
+  if (definition.connection && typeof definition.connection.variables !== 'object') {
+    throw new TypeError(`Resource type '${name}' connection must declare variables`)
+  }
+  if (builtIns[name]) throw new TypeError(`Resource type '${name}' is built in and cannot be replaced`)
+  resourceTypes[name] = definition
+}
+
+/**
+ * Change how connection variables of a resource type are named
+ *
+ * @param {string} type - resource type or alias
+ * @param {string|function} naming - template using {NAME}, {TYPE} and {KEY}, or
+ *   (resourceName, key) => variable name
+ */
+Resource.setConnectionNaming = (type, naming) => {
+  const props = schema(type)
+  if (!props) throw new TypeError(`Unknown resource type '${type}'`)
+  if (typeof naming !== 'function' && (typeof naming !== 'string' || naming.indexOf('{KEY}') === -1)) {
+    throw new TypeError(`Connection naming for '${type}' must be a function or a template using {KEY}`)
+  }
+  props.connection = Object.assign({ variables: {} }, props.connection, { naming })
+}
+
+// drop every registered type and connection naming
+Resource.reset = () => {
+  Object.keys(resourceTypes).forEach((name) => {
+    if (!builtIns[name]) delete resourceTypes[name]
+  })
+  Object.keys(builtIns).forEach((name) => {
+    resourceTypes[name] = Object.assign({}, builtIns[name])
+  })
+}
+
 module.exports = Resource
+
+// check and convert raw setting values in place, filling in defaults
+function convert (resource, props, settings, declarations) {
+  const errors = []
+  Object.keys(props.settings).forEach((paramName) => {
+    const param = props.settings[paramName]
+    const raw = settings[paramName]
+    if (raw === undefined) {
+      if (param.required) {
+        return errors.push(new ResourceError(`Missing required resource setting '${paramName}' for resource '${resource.name}'`, locate('missing-resource-setting', resource.directives[0])))
+      }
+      if (param.default !== undefined) settings[paramName] = param.default
+      return false
+    }
+    const declared = locate('invalid-resource-setting', declarations[paramName], `${paramName}=`)
+    const value = settingTypes[param.type || 'string'](raw)
+    if (value === undefined) {
+      return errors.push(new ResourceError(`Invalid ${param.type} value '${raw}' for resource setting '${paramName}'`, declared))
+    }
+    if (param.enum && param.enum.indexOf(raw) === -1) {
+      return errors.push(new ResourceError(`Invalid resource setting value '${raw}' for '${paramName}'`, declared))
+    }
+    if (param.match && !param.match.test(raw)) {
+      return errors.push(new ResourceError(`Resource setting '${paramName}' must match ${param.match}`, declared))
+    }
+    const units = settingUnits[param.type] || ''
+    declared.code = 'resource-setting-out-of-range'
+    if (param.min !== undefined && value < param.min) {
+      return errors.push(new ResourceError(`Resource setting '${paramName}' value '${raw}' must be at least ${param.min}${units}`, declared))
+    }
+    if (param.max !== undefined && value > param.max) {
+      return errors.push(new ResourceError(`Resource setting '${paramName}' value '${raw}' must be at most ${param.max}${units}`, declared))
+    }
+    settings[paramName] = value
+    if (!param.requires) return false
+    param.requires.forEach((required) => {
+      if (declarations[required]) return false
+      errors.push(new ResourceError(`Resource setting '${required}' is required when '${paramName}' is set for resource '${resource.name}'`, locate('missing-resource-setting', declarations[paramName], `${paramName}=`)))
+    })
+  })
+  return errors
+}
+
+function schema (type) {
+  const props = resourceTypes[type]
+  return (props && props.alias) ? resourceTypes[props.alias] : props
+}
+
+function identifier (value) {
+  return String(value).toUpperCase().replace(/[^A-Z0-9]/g, '_')
+}
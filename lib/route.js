@@ -1,3 +1,6 @@
+const Pattern = require('./pattern')
+const { LocatedError, locate } = require('./diagnostic')
+
 class Route {
   constructor (component, directive) {
     this.component = component
@@ -6,23 +9,64 @@ class Route {
     this.private = directive.params.private
     this.condition = directive.params.condition
     this.directive = directive
+    this.matcher = new Pattern(this.pattern)
+  }
+
+  /**
+   * Test a request against this route
+   *
+   * @param {string} method - request method, e.g. 'GET'
+   * @param {string} requestPath - request path, query strings are ignored
+   * @param {object} [context] - { internal, host, headers, query, cookies } where internal
+   *   requests may reach private routes and the rest is used to evaluate conditions
+   * @returns {object} { matched, wildcards, params, reason }
+   */
+  match (method, requestPath, context = {}) {
+    const miss = (reason) => ({ matched: false, wildcards: [], params: {}, reason })
+    const [pathname, search] = requestPath.split('?')
+    const match = this.matcher.exec(pathname)
+    if (!match) {
+      return miss(`path does not match '${this.pattern}'`)
+    }
+    if (this.method !== 'ALL' && this.method !== method.toUpperCase()) {
+      return miss(`method '${method.toUpperCase()}' does not match '${this.method}'`)
+    }
+    if (this.private && !context.internal) {
+      return miss('route is private')
+    }
+    if (this.condition) {
+      const query = context.query || Object.fromEntries(new URLSearchParams(search || ''))
+      if (!this.condition.evaluate(Object.assign({}, context, { query }))) {
+        return miss(`condition '${this.condition.source}' not satisfied`)
+      }
+    }
+    return { matched: true, wildcards: match.wildcards, params: match.params, reason: 'matched' }
+  }
+
+  overlapsMethod (other) {
+    return this.method === 'ALL' || other.method === 'ALL' || this.method === other.method
   }
-}
 
-class RouteError extends Error {
-  constructor (...args) {
-    super(...args)
-    this.name = 'RouteError'
+  sameCondition (other) {
+    return String(this.condition) === String(other.condition)
   }
 }
 
+class RouteError extends LocatedError {}
+
 Route.register = (app, component, directive, done) => {
   const route = new Route(component, directive)
   const existing = app.routes.find((existing) => {
-    return (existing.pattern === route.pattern && existing.method === route.method)
+    return (
+      existing.matcher.shape === route.matcher.shape &&
+      existing.overlapsMethod(route) &&
+      existing.sameCondition(route)
+    )
   })
   if (existing) {
-    const err = new RouteError(`Route conflict: ${directive.file}:${directive.lineNumber}`)
+    const err = new RouteError(`Route conflict: '${route.pattern}' overlaps '${existing.pattern}'`, Object.assign(locate('route-conflict', directive), {
+      related: [{ file: existing.directive.file, line: existing.directive.lineNumber }]
+    }))
     return done(err)
   }
   app.routes.push(route)
@@ -32,27 +76,106 @@ Route.register = (app, component, directive, done) => {
   done(null, route)
 }
 
+/**
+ * Resolve a request to the first route in precedence order that accepts it
+ *
+ * @param {Route[]} routes - routes sorted by sortRoutes
+ * @param {string} method
+ * @param {string} requestPath
+ * @param {object} [context]
+ * @returns {object} { route, wildcards, params, considered } where considered explains each route tried
+ */
+Route.match = (routes, method, requestPath, context = {}) => {
+  const considered = []
+  for (const route of routes) {
+    const result = route.match(method, requestPath, context)
+    considered.push({ route, matched: result.matched, reason: result.reason })
+    if (result.matched) return { route, wildcards: result.wildcards, params: result.params, considered }
+  }
+  return { route: null, wildcards: [], params: {}, considered }
+}
+
+/**
+ * Find routes that can never be reached because an earlier route always wins,
+ * and routes of different components whose patterns partially overlap
+ *
+ * @param {Route[]} routes - routes sorted by sortRoutes
+ * @returns {RouteError[]} warnings
+ */
+Route.analyze = (routes) => {
+  const warnings = []
+  const warning = (code, message, route, earlier) => new RouteError(message, Object.assign(locate(code, route.directive), {
+    related: [{ file: earlier.directive.file, line: earlier.directive.lineNumber }]
+  }))
+  routes.forEach((route, index) => {
+    for (const earlier of routes.slice(0, index)) {
+      if (!earlier.overlapsMethod(route)) continue
+      const covers = earlier.matcher.covers(route.matcher)
+      if (
+        covers &&
+        (earlier.method === 'ALL' || earlier.method === route.method) &&
+        (!earlier.condition || earlier.sameCondition(route)) &&
+        (!earlier.private || route.private)
+      ) {
+        warnings.push(warning('route-shadowed', `Route '${route.pattern}' is shadowed by '${earlier.pattern}'`, route, earlier))
+        break
+      }
+      if (
+        route.component !== earlier.component &&
+        !route.condition && !earlier.condition &&
+        !covers && !route.matcher.covers(earlier.matcher) &&
+        route.matcher.overlaps(earlier.matcher)
+      ) {
+        warnings.push(warning('route-overlap', `Route '${route.pattern}' of component '${route.component.name}' overlaps '${earlier.pattern}' of component '${earlier.component.name}'`, route, earlier))
+      }
+    }
+  })
+  return warnings
+}
+
+Route.RouteError = RouteError
+
 function sortRoutes (routes) {
+  // literal segments rank ahead of :params, which rank ahead of wildcards
+  const rank = (segment) => {
+    if (segment === undefined) return 0
+    if (segment.includes('*')) return 2
+    if (segment === ':') return 1
+    return 0
+  }
   routes.sort((route1, route2) => {
-    route1 = route1.pattern.toLowerCase().replace(/\/+$/, '').replace(/^\//, '')
-    route2 = route2.pattern.toLowerCase().replace(/\/+$/, '').replace(/^\//, '')
-    var r1reg = new RegExp('^' + route1.replace(/\*/g, '.+') + '$', '')
-    var r2reg = new RegExp('^' + route2.replace(/\*/g, '.+') + '$', '')
-    if (route1.includes('*') && r1reg.test(route2)) return 1
-    if (route2.includes('*') && r2reg.test(route1)) return -1
-    var segs1 = route1.split('/')
-    var segs2 = route2.split('/')
+    const pattern1 = route1.matcher
+    const pattern2 = route2.matcher
+    if (pattern1.shape === pattern2.shape) {
+      // conditional routes go first, then specific methods ahead of ALL
+      const conditions = (route2.condition ? 1 : 0) - (route1.condition ? 1 : 0)
+      const methods = (route1.method === 'ALL' ? 1 : 0) - (route2.method === 'ALL' ? 1 : 0)
+      return conditions || methods
+    }
+    if (pattern1.dynamic && pattern1.covers(pattern2)) return 1
+    if (pattern2.dynamic && pattern2.covers(pattern1)) return -1
+    var segs1 = pattern1.shape.split('/')
+    var segs2 = pattern2.shape.split('/')
     var seg1len = segs1.length
     var seg2len = segs2.length
     var maxLen = Math.max(seg1len, seg2len)
     for (var i = 0; i < maxLen; ++i) {
-      if (segs1[i] === '*' && segs2[i] !== '*') return 1
-      if (segs1[i] !== '*' && segs2[i] === '*') return -1
+      if (rank(segs1[i]) > rank(segs2[i])) return 1
+      if (rank(segs1[i]) < rank(segs2[i])) return -1
       if (segs1[i] === undefined && segs2[i] !== undefined) return 1
       if (segs1[i] !== undefined && segs2[i] === undefined) return -1
     }
     return 0
   })
+  // the comparison is not transitive for partial wildcards such as /a*, so move
+  // any route still sorted behind a route that strictly covers it
+  for (let i = 1; i < routes.length; i++) {
+    const pattern = routes[i].matcher
+    const index = routes.slice(0, i).findIndex((earlier) => {
+      return earlier.matcher.dynamic && earlier.matcher.covers(pattern) && !pattern.covers(earlier.matcher)
+    })
+    if (index !== -1) routes.splice(index, 0, routes.splice(i, 1)[0])
+  }
 }
 
 module.exports = Route
@@ -0,0 +1,207 @@
+// CRON schedules of task components, `settings.cron` with the minute, hour,
+// day, month and weekday fields node-cron accepts and an optional IANA
+// timezone, UTC when left out. Run times follow node-cron: with both day and
+// weekday restricted a task runs when either matches.
+const fields = ['minute', 'hour', 'day', 'month', 'weekday']
+const months = [null, 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+// the values of each field, weekday 7 is Sunday as well
+const ranges = {
+  minute: [0, 59],
+  hour: [0, 23],
+  day: [1, 31],
+  month: [1, 12, months],
+  weekday: [0, 7, weekdays]
+}
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+// long enough to reach the next February 29th on any weekday
+const HORIZON = 8 * 366 * DAY
+
+const formatters = {}
+
+/**
+ * The five field pattern of a schedule
+ *
+ * @param {object} cron - settings.cron
+ * @returns {string}
+ */
+function pattern (cron) {
+  return fields.map((field) => cron[field]).join(' ')
+}
+
+/**
+ * Check an IANA timezone name
+ *
+ * @param {string} name
+ * @returns {string} the canonical name, e.g. UTC for utc
+ * @throws {RangeError} for unknown timezones
+ */
+function timezone (name) {
+  return new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone
+}
+
+/**
+ * The next times a schedule fires
+ *
+ * @param {object} cron - settings.cron
+ * @param {number} [count]
+ * @param {Date} [from] - only times after this one, now by default
+ * @returns {Date[]} fewer than count when the schedule stops matching, e.g. 0 0 30 2 *
+ */
+function next (cron, count = 1, from = new Date()) {
+  const [minutes, hours, days, monthDays, weekDays] = fields.map((field) => expand(field, cron[field]))
+  const zone = cron.timezone || 'UTC'
+  const start = from.getTime()
+  const runs = []
+  const onDay = (date) => {
+    const day = days.indexOf(date.getUTCDate()) !== -1
+    const weekday = weekDays.indexOf(date.getUTCDay()) !== -1
+    if (String(cron.day) === '*') return weekday
+    if (String(cron.weekday) === '*') return day
+    return day || weekday
+  }
+  // walk the wall clock of the timezone, skipping whole months, days and hours
+  let wall = wallClock(start, zone) + MINUTE
+  const end = wall + HORIZON
+  while (runs.length < count && wall < end) {
+    const date = new Date(wall)
+    const [year, month, day, hour] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours()]
+    if (monthDays.indexOf(month + 1) === -1) {
+      wall = Date.UTC(year, month + 1, 1)
+    } else if (!onDay(date)) {
+      wall = Date.UTC(year, month, day + 1)
+    } else if (hours.indexOf(hour) === -1) {
+      wall = Date.UTC(year, month, day, hour + 1)
+    } else {
+      if (minutes.indexOf(date.getUTCMinutes()) !== -1) {
+        const time = instant(wall, zone)
+        // times skipped when clocks go forward do not run
+        if (time !== null && time > start) runs.push(new Date(time))
+      }
+      wall += MINUTE
+    }
+  }
+  return runs
+}
+
+/**
+ * Describe a schedule in words, e.g. "Every 15 minutes on Monday through Friday (UTC)"
+ *
+ * @param {object} cron - settings.cron
+ * @returns {string}
+ */
+function describe (cron) {
+  const [minute, hour, day, month, weekday] = fields.map((field) => String(cron[field]))
+  const numbers = /^\d+(,\d+)*$/
+  const stepped = (value) => value.indexOf('/') !== -1
+  let text
+  if (numbers.test(minute) && numbers.test(hour)) {
+    const times = []
+    hour.split(',').forEach((h) => minute.split(',').forEach((m) => times.push(`${pad(h)}:${pad(m)}`)))
+    text = `At ${list(times)}`
+  } else {
+    if (minute === '*') {
+      text = 'Every minute'
+    } else if (/^\*\/\d+$/.test(minute)) {
+      text = `Every ${minute.substring(2)} minutes`
+    } else {
+      text = `At ${stepped(minute) ? '' : 'minute '}${words(minute, 'minute')}`
+    }
+    if (hour !== '*') {
+      text += ` past ${stepped(hour) ? '' : 'hour '}${words(hour, 'hour')}`
+    } else if (text.indexOf('At') === 0) {
+      text += ' past every hour'
+    }
+  }
+  if (day !== '*') text += ` on ${stepped(day) ? '' : 'day '}${words(day, 'day')} of the month`
+  if (weekday !== '*') text += ` ${(day === '*') ? 'on' : 'or'} ${words(numbered('weekday', weekday), 'day of the week', weekdays.concat('Sunday'))}`
+  if (month !== '*') text += ` in ${words(numbered('month', month), 'month', months)}`
+  return `${text} (${cron.timezone || 'UTC'})`
+}
+
+// a field with month and weekday names, full or three letters, as their numbers
+function numbered (field, value) {
+  const names = ranges[field][2] || []
+  return names.reduce((text, name, index) => {
+    if (!name) return text
+    return text.replace(new RegExp(`${name}|${name.substring(0, 3)}`, 'gi'), index)
+  }, String(value))
+}
+
+// the values a field matches, steps keep the values divisible by them like
+// node-cron does, so */2 of days are the even days
+function expand (field, value) {
+  const [min, max] = ranges[field]
+  const values = []
+  numbered(field, value).split(',').forEach((item) => {
+    const [range, step] = item.split('/')
+    const bounds = (range === '*') ? [min, max] : range.split('-').map(Number)
+    const first = Math.min(...bounds)
+    const last = Math.max(...bounds)
+    for (let n = first; n <= last; n++) {
+      if (!step || n % parseInt(step) === 0) values.push((field === 'weekday') ? n % 7 : n)
+    }
+  })
+  return values
+}
+
+// "1", "1-5", "*/2" and "1-5/2" list items of a field in words
+function words (value, unit, names = []) {
+  const name = (n) => names[parseInt(n)] || n
+  return list(value.split(',').map((item) => {
+    const [range, step] = item.split('/')
+    const [first, last] = range.split('-')
+    const span = (range === '*') ? '' : (last === undefined) ? name(first) : `${name(first)} through ${name(last)}`
+    if (!step) return span
+    return `every ${ordinal(parseInt(step))} ${unit}${(span) ? ` from ${span}` : ''}`
+  }))
+}
+
+function list (items) {
+  if (items.length < 2) return items.join('')
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+}
+
+function ordinal (n) {
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] || 'th'
+  return `${n}${suffix}`
+}
+
+function pad (n) {
+  return String(n).padStart(2, '0')
+}
+
+// the wall clock time in a timezone at an instant, as a UTC timestamp truncated to the minute
+function wallClock (time, zone) {
+  if (!formatters[zone]) {
+    formatters[zone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    })
+  }
+  const parts = {}
+  formatters[zone].formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = parseInt(value)
+  })
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute)
+}
+
+// the instant a wall clock time occurs in a timezone, null when it is skipped
+function instant (wall, zone) {
+  let time = wall - (wallClock(wall, zone) - wall)
+  time = wall - (wallClock(time, zone) - time)
+  return (wallClock(time, zone) === wall) ? time : null
+}
+
+module.exports = {
+  pattern,
+  timezone,
+  next,
+  describe
+}
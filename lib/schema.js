@@ -0,0 +1,99 @@
+// Checks values against the JSON Schema keywords used by schema/discovery.json:
+// $ref, anyOf, const, enum, type, pattern, minimum, maximum, items, required,
+// properties and additionalProperties
+const schema = require('../schema/discovery.json')
+
+/**
+ * @param {*} value - e.g. the output of Application.toJSON()
+ * @param {object} [definition] - schema to check against, the discovery model by default
+ * @returns {object[]} errors, each { path, message } where path is a JSON pointer
+ */
+function validate (value, definition = schema) {
+  const errors = []
+  // compare the serialized form, which is what deployers see
+  check((value === undefined) ? value : JSON.parse(JSON.stringify(value)), definition, '', errors, definition)
+  return errors
+}
+
+validate.schema = schema
+validate.version = schema.properties.schemaVersion.default
+
+module.exports = validate
+
+function check (value, definition, pointer, errors, root) {
+  const fail = (message) => {
+    errors.push({ path: pointer || '/', message })
+    return errors
+  }
+  if (definition.$ref) {
+    return check(value, resolve(root, definition.$ref), pointer, errors, root)
+  }
+  if (definition.anyOf && !definition.anyOf.some((option) => !check(value, option, pointer, [], root).length)) {
+    return fail('does not match any of the allowed schemas')
+  }
+  if (definition.const !== undefined && JSON.stringify(value) !== JSON.stringify(definition.const)) {
+    return fail(`must be ${JSON.stringify(definition.const)}`)
+  }
+  if (definition.enum && definition.enum.indexOf(value) === -1) {
+    return fail(`must be one of ${definition.enum.map((item) => JSON.stringify(item)).join(', ')}`)
+  }
+  if (definition.type) {
+    const types = [].concat(definition.type)
+    if (!types.some((type) => is(value, type))) return fail(`must be of type ${types.join(' or ')}`)
+  }
+  if (typeof value === 'string' && definition.pattern && !new RegExp(definition.pattern).test(value)) {
+    fail(`must match ${definition.pattern}`)
+  }
+  if (typeof value === 'number') {
+    if (definition.minimum !== undefined && value < definition.minimum) fail(`must be at least ${definition.minimum}`)
+    if (definition.maximum !== undefined && value > definition.maximum) fail(`must be at most ${definition.maximum}`)
+  }
+  if (Array.isArray(value) && definition.items) {
+    value.forEach((item, index) => check(item, definition.items, `${pointer}/${index}`, errors, root))
+  }
+  if (is(value, 'object')) {
+    const properties = definition.properties || {}
+    ;(definition.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push({ path: `${pointer}/${escape(key)}`, message: 'is required' })
+    })
+    Object.keys(value).forEach((key) => {
+      const path = `${pointer}/${escape(key)}`
+      if (properties[key]) return check(value[key], properties[key], path, errors, root)
+      if (definition.additionalProperties === false) return errors.push({ path, message: 'is not allowed' })
+      if (typeof definition.additionalProperties === 'object') check(value[key], definition.additionalProperties, path, errors, root)
+    })
+  }
+  return errors
+}
+
+function is (value, type) {
+  switch (type) {
+    case 'null':
+      return value === null
+    case 'array':
+      return Array.isArray(value)
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+    case 'integer':
+      return Number.isInteger(value)
+    case 'number':
+      return typeof value === 'number'
+    case 'string':
+      return typeof value === 'string'
+    case 'boolean':
+      return typeof value === 'boolean'
+    default:
+      return false
+  }
+}
+
+function resolve (root, ref) {
+  return ref.replace(/^#\/?/, '').split('/').filter(Boolean).reduce((definition, key) => {
+    if (!definition || definition[key] === undefined) throw new Error(`Unresolvable schema reference '${ref}'`)
+    return definition[key]
+  }, root)
+}
+
+function escape (key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1')
+}
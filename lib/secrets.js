@@ -0,0 +1,54 @@
+const fs = require('fs')
+
+// stands in for a secret's literal default everywhere discovery keeps it
+const REDACTED = '[redacted]'
+
+const reference = /^secret:\/\/([a-zA-Z0-9_.-]+(?:\/[a-zA-Z0-9_.-]+)*)$/
+
+/**
+ * The secret name of a secret://name reference
+ *
+ * @param {*} value
+ * @returns {string|null} null when value is not a reference
+ */
+function name (value) {
+  const match = reference.exec(String(value))
+  return (match) ? match[1] : null
+}
+
+/**
+ * Read a .env style file of secret values used in development, a missing file
+ * has no secrets
+ *
+ * @param {string} [filePath]
+ * @param {function} done - called with (err, secrets) keyed by name
+ */
+function load (filePath, done) {
+  if (!filePath) return done(null, {})
+  fs.readFile(filePath, (err, data) => {
+    if (err && err.code === 'ENOENT') return done(null, {})
+    if (err) return done(err)
+    done(null, parse(data.toString()))
+  })
+}
+
+// KEY=value lines with optional `export` and quotes, # starts a comment line
+function parse (contents) {
+  const secrets = {}
+  contents.split(/\r?\n/).forEach((line) => {
+    const match = /^\s*(?:export\s+)?([^=#\s]+)\s*=\s*(.*?)\s*$/.exec(line)
+    if (!match) return false
+    let value = match[2]
+    const quoted = /^(["'])(.*)\1$/.exec(value)
+    if (quoted) value = (quoted[1] === '"') ? quoted[2].replace(/\\n/g, '\n') : quoted[2]
+    secrets[match[1]] = value
+  })
+  return secrets
+}
+
+module.exports = {
+  REDACTED,
+  name,
+  load,
+  parse
+}
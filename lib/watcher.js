@@ -0,0 +1,135 @@
+const path = require('path')
+const fs = require('fs')
+const Ignore = require('./ignore')
+
+class Watcher {
+  constructor (app, options = {}) {
+    this.app = app
+    this.debounce = (options.debounce === undefined) ? 100 : options.debounce
+    this.watchers = {}
+    this.timers = {}
+    this.ignores = {}
+  }
+
+  start () {
+    this.watchDirectory(this.app.rootPath, new Ignore(this.app.rootPath, this.app.options.ignore))
+  }
+
+  stop () {
+    Object.keys(this.watchers).forEach((dir) => this.watchers[dir].close())
+    Object.keys(this.timers).forEach((file) => clearTimeout(this.timers[file]))
+    this.watchers = {}
+    this.timers = {}
+    this.ignores = {}
+  }
+
+  watchDirectory (dir, ignore) {
+    dir = path.resolve(dir)
+    if (this.watchers[dir]) return false
+    let watcher
+    try {
+      ignore = ignore.loadSync(dir)
+      watcher = fs.watch(dir, (eventType, fileName) => {
+        if (!fileName) return false
+        this.schedule(path.resolve(dir, fileName.toString()))
+      })
+    } catch (err) {
+      return this.app.emit('error', err)
+    }
+    watcher.on('error', (err) => {
+      this.unwatchDirectory(dir)
+      if (err.code !== 'ENOENT' && err.code !== 'EPERM') this.app.emit('error', err)
+    })
+    this.watchers[dir] = watcher
+    this.ignores[dir] = ignore
+    let entries = []
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true })
+    } catch (err) {
+      return false
+    }
+    entries.forEach((entry) => {
+      if (ignore.ignores(path.resolve(dir, entry.name), entry.isDirectory())) return false
+      if (entry.isFile() && entry.name === 'Noopfile') {
+        return this.handleManifest(path.resolve(dir, entry.name), true, true)
+      }
+      if (!entry.isDirectory()) return false
+      if (entry.name === '.git' && dir === path.resolve(this.app.rootPath)) return false
+      this.watchDirectory(path.resolve(dir, entry.name), ignore)
+    })
+  }
+
+  unwatchDirectory (dir) {
+    Object.keys(this.watchers).forEach((watched) => {
+      if (watched === dir || watched.indexOf(dir + path.sep) === 0) {
+        this.watchers[watched].close()
+        delete this.watchers[watched]
+        delete this.ignores[watched]
+      }
+    })
+  }
+
+  schedule (file) {
+    clearTimeout(this.timers[file])
+    this.timers[file] = setTimeout(() => {
+      delete this.timers[file]
+      this.handle(file)
+    }, this.debounce)
+  }
+
+  handle (file) {
+    fs.stat(file, (err, stats) => {
+      const exists = !err
+      const ignore = this.ignores[path.dirname(file)]
+      if (!ignore) return false
+      if (ignore.ignores(file, exists && stats.isDirectory())) return false
+      if (exists && stats.isDirectory()) return this.watchDirectory(file, ignore)
+      if (!exists) {
+        this.unwatchDirectory(file)
+        this.app.manifests.filter((manifest) => {
+          return manifest.filePath.indexOf(file + path.sep) === 0
+        }).forEach((manifest) => this.handleManifest(manifest.filePath, false))
+      }
+      if (path.basename(file) === 'Noopfile') {
+        return this.handleManifest(file, exists)
+      }
+      this.app.manifests.filter((manifest) => {
+        return manifest.dependencies().some((dependency) => dependency.filePath === file)
+      }).forEach((manifest) => this.handleManifest(manifest.filePath, true))
+      this.handleComponentFile(file)
+    })
+  }
+
+  handleManifest (file, exists, addedOnly) {
+    const known = this.app.manifests.find((manifest) => manifest.filePath === file)
+    if (known && addedOnly) {
+      return false
+    } else if (known && exists) {
+      this.app.reloadManifest(file, (err) => {
+        if (err) return this.app.emit('error', err)
+        this.app.emit('manifestChange', file)
+      })
+    } else if (known) {
+      this.app.removeManifest(file, (err) => {
+        if (err) return this.app.emit('error', err)
+        this.app.emit('manifestRemoved', file)
+      })
+    } else if (exists) {
+      this.app.reloadManifest(file, (err) => {
+        if (err) return this.app.emit('error', err)
+        this.app.emit('manifestAdded', file)
+      })
+    }
+  }
+
+  handleComponentFile (file) {
+    Object.keys(this.app.components).forEach((componentName) => {
+      const component = this.app.components[componentName]
+      if (file.indexOf(component.rootPath) === 0) {
+        this.app.emit('componentChange', componentName, file)
+      }
+    })
+  }
+}
+
+module.exports = Watcher
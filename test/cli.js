@@ -0,0 +1,131 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const cli = require('../lib/cli')
+
+const capture = () => {
+  const out = { stdout: '', stderr: '' }
+  return {
+    out,
+    streams: {
+      stdout: { write: (data) => { out.stdout += data } },
+      stderr: { write: (data) => { out.stderr += data } }
+    }
+  }
+}
+
+/* global describe, it, before, after */
+describe('noop-discovery', () => {
+  describe('#cli', () => {
+    let root, broken
+
+    before(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-cli-'))
+      broken = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-cli-broken-'))
+      fs.writeFileSync(path.join(root, 'Noopfile'), [
+        'COMPONENT api service',
+        'FROM node:12',
+        'CMD ["node", "index.js"]',
+        'ROUTE /api/*',
+        'ROUTE -m GET /api/users',
+        'RESOURCE users mysql -s version=5.6'
+      ].join('\n'))
+      fs.writeFileSync(path.join(broken, 'Noopfile'), [
+        'COMPONENT api service',
+        'FROM node:12',
+        'ROUTE -m FETCH /api',
+        'BOGUS'
+      ].join('\n'))
+    })
+
+    after(() => {
+      fs.rmdirSync(root, { recursive: true })
+      fs.rmdirSync(broken, { recursive: true })
+    })
+
+    it('should validate a valid app', async () => {
+      const { out, streams } = capture()
+      equal(await cli.run(['validate', root], streams), 0)
+      equal(out.stdout, '0 errors, 0 warnings\n')
+    })
+
+    it('should report every diagnostic and exit non-zero', async () => {
+      const { out, streams } = capture()
+      equal(await cli.run(['validate', broken], streams), 1)
+      const lines = out.stderr.trim().split('\n')
+      equal(lines.length, 2)
+      assert.match(lines[0], /Noopfile:3:10: error invalid-value/)
+      assert.match(lines[1], /Noopfile:4:1: error unknown-directive/)
+      equal(out.stdout, '2 errors, 0 warnings\n')
+    })
+
+    it('should inspect as json and yaml', async () => {
+      let { out, streams } = capture()
+      equal(await cli.run(['inspect', root], streams), 0)
+      equal(JSON.parse(out.stdout).components[0].name, 'api')
+      ;({ out, streams } = capture())
+      equal(await cli.run(['inspect', '-f', 'yaml', root], streams), 0)
+      assert.include(out.stdout, 'components:\n  - name: api\n    type: service\n')
+      assert.include(out.stdout, '    dockerfile: |\n      FROM node:12\n')
+    })
+
+    it('should print the sorted route table', async () => {
+      const { out, streams } = capture()
+      equal(await cli.run(['routes', root], streams), 0)
+      const lines = out.stdout.trim().split('\n')
+      assert.match(lines[0], /^PATTERN\s+METHOD\s+PRIVATE\s+COMPONENT\s+DECLARATION$/)
+      assert.match(lines[1], /^\/api\/users\s+GET\s+false\s+api\s+Noopfile:5$/)
+      assert.match(lines[2], /^\/api\/\*\s+ALL/)
+    })
+
+    it('should print resources', async () => {
+      const { out, streams } = capture()
+      equal(await cli.run(['resources', root], streams), 0)
+      assert.match(out.stdout.split('\n')[1], /^users\s+mysql\s+version=5.6/)
+    })
+
+    it('should print a dockerfile', async () => {
+      const { out, streams } = capture()
+      equal(await cli.run(['dockerfile', 'api', root], streams), 0)
+      equal(out.stdout, 'FROM node:12\nCMD ["node", "index.js"]\n')
+      equal(await cli.run(['dockerfile', 'web', root], streams), 1)
+    })
+
+    it('should print a compose file', async () => {
+      const { out, streams } = capture()
+      equal(await cli.run(['compose', '-p', '3000', root], streams), 0)
+      assert.include(out.stdout, '  api:\n    build:\n      context: .\n')
+      assert.include(out.stdout, "    ports:\n      - '3000:80'\n")
+      assert.include(out.stdout, "  users-mysql:\n    image: 'mysql:5.6'\n")
+    })
+
+    it('should print when tasks run', async () => {
+      const tasks = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-cli-tasks-'))
+      fs.writeFileSync(path.join(tasks, 'Noopfile'), [
+        'COMPONENT report task',
+        'CRON 0 3 * * * --timezone Europe/Berlin',
+        'COMPONENT migrate task',
+        'LIFECYCLE before-deploy'
+      ].join('\n'))
+      try {
+        const { out, streams } = capture()
+        equal(await cli.run(['schedule', '-n', '2', '-f', 'json', tasks], streams), 0)
+        const rows = JSON.parse(out.stdout)
+        assert.deepEqual(rows.map((row) => row.name), ['migrate', 'report'])
+        assert.deepEqual(rows[0].nextRuns, [])
+        equal(rows[1].description, 'At 03:00 (Europe/Berlin)')
+        equal(rows[1].nextRuns.length, 2)
+      } finally {
+        fs.rmdirSync(tasks, { recursive: true })
+      }
+    })
+
+    it('should reject unknown commands', async () => {
+      const { out, streams } = capture()
+      equal(await cli.run(['deploy'], streams), 2)
+      assert.include(out.stderr, 'Unknown command')
+    })
+  })
+})
@@ -0,0 +1,114 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+const jsyaml = require('js-yaml')
+const format = require('../lib/format')
+
+/* global describe, it, before, after */
+describe('noop-discovery', () => {
+  describe('#compose', () => {
+    let root, app
+
+    before(async () => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-compose-')) + '/'
+      fs.mkdirSync(path.join(root, 'api', 'docker'), { recursive: true })
+      fs.writeFileSync(path.join(root, 'api', 'docker', 'Dockerfile'), 'FROM node:12 AS build\nFROM node:12-slim AS release\n')
+      fs.writeFileSync(path.join(root, 'api', 'Noopfile'), [
+        'COMPONENT api service',
+        'FROM node:12',
+        'ENV LOG_LEVEL info',
+        'EXPOSE 3000',
+        'HEALTHCHECK -i 10 -r 3 HTTP /health',
+        'CPU 0.5',
+        'MEMORY 512',
+        'ROUTE /api/*',
+        'RESOURCE users mysql -s version=5.6',
+        'RESOURCE uploads s3',
+        'RESOURCE jobs queue',
+        'COMPONENT admin service',
+        'DOCKERFILE docker/Dockerfile --target release',
+        'ROUTE /admin/*'
+      ].join('\n'))
+      fs.writeFileSync(path.join(root, 'Noopfile'), [
+        'COMPONENT web static',
+        'FROM nginx',
+        'ROUTE /*',
+        'COMPONENT cleanup task',
+        'FROM node:12',
+        'RESOURCE sessions dynamodb -s hashKeyName=id -s hashKeyType=S'
+      ].join('\n'))
+      app = await discovery.discover(root)
+    })
+
+    after(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should build a service per service and static component', () => {
+      const file = app.compose()
+      assert.sameMembers(Object.keys(file.services), ['admin', 'api', 'web', 'users-mysql', 'uploads-s3', 'sessions-dynamodb'])
+      assert.deepEqual(file.services.web, {
+        build: { context: '.', dockerfile_inline: 'FROM nginx\n' },
+        environment: undefined,
+        ports: ['8082:80'],
+        depends_on: undefined,
+        healthcheck: undefined,
+        deploy: undefined
+      })
+      const api = file.services.api
+      assert.deepEqual(api.build, { context: './api', dockerfile_inline: 'FROM node:12\nENV LOG_LEVEL info\nEXPOSE 3000\nHEALTHCHECK --interval=10s --retries=3 CMD curl -fs http://localhost:3000/health || exit 1\n' })
+      assert.deepEqual(api.ports, ['8081:3000'])
+      assert.deepEqual(file.services.admin.build, { context: './api', dockerfile: 'docker/Dockerfile', target: 'release' })
+      assert.deepEqual(api.healthcheck, { test: ['CMD-SHELL', 'curl -fs http://localhost:3000/health || exit 1'], interval: '10s', timeout: undefined, start_period: undefined, retries: 3 })
+      assert.deepEqual(api.deploy, { resources: { limits: { cpus: '0.5', memory: '512M' } } })
+      equal(app.compose({ port: 3000 }).services.api.ports[0], '3001:3000')
+    })
+
+    it('should point at Dockerfiles outside the component root', async () => {
+      const shared = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-compose-')) + '/'
+      fs.mkdirSync(path.join(shared, 'shared'))
+      fs.mkdirSync(path.join(shared, 'worker'))
+      fs.writeFileSync(path.join(shared, 'shared', 'Dockerfile'), 'FROM node:12\n')
+      fs.writeFileSync(path.join(shared, 'worker', 'Noopfile'), 'COMPONENT worker service\nDOCKERFILE ../shared/Dockerfile\n')
+      const file = (await discovery.discover(shared)).compose()
+      fs.rmdirSync(shared, { recursive: true })
+      assert.deepEqual(file.services.worker.build, { context: './worker', dockerfile: '../shared/Dockerfile', target: undefined })
+    })
+
+    it('should wire resources to stand-in containers', () => {
+      const file = app.compose()
+      const api = file.services.api
+      assert.deepEqual(api.depends_on, ['users-mysql', 'uploads-s3'])
+      equal(api.environment.LOG_LEVEL, 'info')
+      equal(api.environment.USERS_HOST, 'users-mysql')
+      equal(api.environment.USERS_PORT, 3306)
+      equal(api.environment.USERS_DATABASE, 'users')
+      equal(api.environment.UPLOADS_ENDPOINT, 'http://uploads-s3:9000')
+      equal(api.environment.USERS_PASSWORD, 'noop-local')
+      equal(api.environment.AWS_ACCESS_KEY_ID, 'noop')
+      equal(file.services['users-mysql'].image, 'mysql:5.6')
+      equal(file.services['uploads-s3'].image, 'minio/minio')
+      equal(file.services['sessions-dynamodb'].image, 'amazon/dynamodb-local')
+      assert.deepEqual(file['x-unsupported-resources'], ['jobs'])
+    })
+
+    it('should serialize as yaml', () => {
+      const yaml = format.yaml(app.compose())
+      assert.include(yaml, 'services:\n')
+      assert.include(yaml, "  web:\n    build:\n      context: .\n      dockerfile_inline: |\n        FROM nginx\n    ports:\n      - '8082:80'\n")
+      assert.notInclude(yaml, 'undefined')
+      assert.deepEqual(jsyaml.safeLoad(yaml), JSON.parse(JSON.stringify(app.compose())))
+    })
+
+    it('should keep strings YAML would read as something else', () => {
+      const scalars = ['*.map', '@scope/name', '.5', '-1', '1_000', '8080:30', 'yes', 'Off', '~', 'null', '', 'a: b', ' a',
+        'FROM node:12\n\n\n', '  indented\nlines', 'no newline\nat the end']
+      const data = { scalars, keys: {} }
+      scalars.forEach((value) => { data.keys[value] = value })
+      assert.deepEqual(jsyaml.safeLoad(format.yaml(data)), data)
+    })
+  })
+})
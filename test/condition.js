@@ -0,0 +1,62 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const Condition = require('../lib/condition')
+const Directive = require('../lib/directive')
+
+/* global describe, it */
+describe('noop-discovery', () => {
+  describe('#Condition', () => {
+    const context = {
+      host: 'Beta.Example.com:8080',
+      headers: { 'X-Beta': '1', 'User-Agent': 'Mobile Safari' },
+      query: { preview: 'true' },
+      cookies: { session: 'abc' }
+    }
+    const evaluate = (source) => Condition.parse(source).evaluate(context)
+
+    it('should evaluate matchers', () => {
+      equal(evaluate('header.x-beta == 1'), true)
+      equal(evaluate('header.x-beta != "1"'), false)
+      equal(evaluate('host == beta.example.com'), true)
+      equal(evaluate('header.user-agent ~= "Mobile\\s"'), true)
+      equal(evaluate('query.preview'), true)
+      equal(evaluate('cookie.missing'), false)
+      equal(evaluate('cookie.missing != x'), true)
+    })
+
+    it('should combine with and, or and not', () => {
+      equal(evaluate('header.x-beta == 1 and not cookie.missing'), true)
+      equal(evaluate('cookie.missing or query.preview == true'), true)
+      equal(evaluate('!(cookie.session && query.preview)'), false)
+      equal(evaluate('cookie.missing || cookie.session == abc && host == other'), false)
+    })
+
+    it('should produce a canonical form', () => {
+      equal(String(Condition.parse('query.b or (header.x && !cookie.y)')), '(query.b or (header.x and not cookie.y))')
+      equal(Condition.parse('header.x==1').toString(), Condition.parse('header.x == "1"').toString())
+    })
+
+    it('should reject invalid syntax', () => {
+      assert.throws(() => Condition.parse(''), /Empty condition/)
+      assert.throws(() => Condition.parse('body.x == 1'), /Unknown condition source 'body'/)
+      assert.throws(() => Condition.parse('header.x =='), /Expected a value/)
+      assert.throws(() => Condition.parse('(header.x'), /Expected '\)'/)
+      assert.throws(() => Condition.parse('header.x ~= "("'), /Invalid pattern/)
+      assert.throws(() => Condition.parse('host.name == x'), /host does not take a name/)
+    })
+
+    it('should be parsed by ROUTE directives', () => {
+      new Directive('ROUTE -c \'header.x-beta == "1"\' /api', '/tmp/Noopfile', 1).parse((err, directive) => {
+        if (err) throw err
+        equal(directive.params.pattern, '/api')
+        equal(directive.params.condition.source, 'header.x-beta == "1"')
+      })
+      new Directive('ROUTE --condition "header.x-beta ==" /api', '/tmp/Noopfile', 4).parse((err) => {
+        equal(err.name, 'DirectiveError')
+        equal(err.code, 'invalid-value')
+        equal(err.line, 4)
+        assert.include(err.message, 'Expected a value')
+      })
+    })
+  })
+})
@@ -0,0 +1,84 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+const Application = require('../lib/app')
+const Resource = require('../lib/resource')
+const validate = require('../lib/schema')
+
+/* global describe, it, beforeEach, afterEach */
+describe('noop-discovery', () => {
+  describe('#connections', () => {
+    let root
+
+    const discover = (lines, options) => {
+      fs.writeFileSync(path.join(root, 'Noopfile'), lines.join('\n'))
+      return discovery.discover(root, options)
+    }
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-connections-')) + '/'
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should describe the variables each resource injects', async () => {
+      fs.mkdirSync(path.join(root, 'worker'))
+      fs.writeFileSync(path.join(root, 'worker', 'Noopfile'), 'COMPONENT worker task\nRESOURCE jobs queue')
+      const app = await discover([
+        'COMPONENT api service',
+        'ENV LOG_LEVEL info',
+        'RESOURCE users mysql',
+        'RESOURCE jobs'
+      ])
+      const model = app.toJSON()
+      const api = model.components.find((component) => component.name === 'api')
+      assert.deepEqual(api.connections, {
+        USERS_HOST: { resource: 'users', attribute: 'host', value: null, secret: false },
+        USERS_PORT: { resource: 'users', attribute: 'port', value: 3306, secret: false },
+        USERS_DATABASE: { resource: 'users', attribute: 'name', value: 'users', secret: false },
+        USERS_USERNAME: { resource: 'users', attribute: 'username', value: null, secret: true },
+        USERS_PASSWORD: { resource: 'users', attribute: 'password', value: null, secret: true },
+        JOBS_QUEUE: { resource: 'jobs', attribute: 'name', value: 'jobs', secret: false },
+        JOBS_URL: { resource: 'jobs', attribute: 'url', value: null, secret: false }
+      })
+      assert.deepEqual(validate(model), [])
+      assert.deepEqual(Application.fromJSON(model).toJSON(), model)
+    })
+
+    it('should report variables that are already declared', async () => {
+      const app = await discover([
+        'COMPONENT api service',
+        'ENV USERS_HOST localhost',
+        'RESOURCE users mysql',
+        'RESOURCE cache-store redis',
+        'RESOURCE cache_store redis'
+      ], { diagnostics: true })
+      const conflicts = app.diagnostics.filter((diagnostic) => diagnostic.code === 'connection-variable-conflict')
+      assert.deepEqual(conflicts.map((conflict) => `${conflict.line} ${conflict.related[0].line}`), ['3 2', '5 4', '5 4'])
+      assert.include(conflicts[0].message, "'USERS_HOST' into component 'api', already declared with ENV")
+      assert.include(conflicts[1].message, "'CACHE_STORE_HOST' into component 'api', already injected by resource 'cache-store'")
+      equal(app.components.api.connections.USERS_PORT.value, 3306)
+      equal(app.components.api.connections.USERS_HOST, undefined)
+      const err = await discover(['COMPONENT api service', 'ENV USERS_PORT 3307', 'RESOURCE users mysql']).catch((err) => err)
+      equal(err.code, 'connection-variable-conflict')
+    })
+
+    it('should name variables per resource type', async () => {
+      Resource.setConnectionNaming('postgresql', 'PG{NAME}_{KEY}')
+      Resource.setConnectionNaming('topic', (name, key) => `${key}_OF_${name}`)
+      try {
+        const app = await discover(['COMPONENT api service', 'RESOURCE users postgresql', 'RESOURCE events sns'])
+        assert.sameMembers(Object.keys(app.components.api.connections), ['PGUSERS_HOST', 'PGUSERS_PORT', 'PGUSERS_DATABASE', 'PGUSERS_USERNAME', 'PGUSERS_PASSWORD', 'TOPIC_OF_events', 'ARN_OF_events'])
+      } finally {
+        Resource.reset()
+      }
+      assert.throws(() => Resource.setConnectionNaming('postgresql', 'PG_HOST'), /must be a function or a template using \{KEY\}/)
+      assert.throws(() => Resource.setConnectionNaming('oracle', '{KEY}'), /Unknown resource type 'oracle'/)
+    })
+  })
+})
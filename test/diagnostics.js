@@ -0,0 +1,102 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Application = require('../lib/app')
+
+/* global describe, it, before, after */
+describe('noop-discovery', () => {
+  describe('#Diagnostics', () => {
+    let root
+
+    before(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-diagnostics-')) + '/'
+      fs.mkdirSync(path.join(root, 'api'))
+      fs.mkdirSync(path.join(root, 'web'))
+      fs.writeFileSync(path.join(root, 'api', 'Noopfile'), [
+        'COMPONENT api service',
+        'FROM node:12',
+        'ROUTE -m FETCH /api',
+        'ROUTE /api/*',
+        'LIFECYCLE before-deploy',
+        'RESOURCE users mysql -s version=8.0'
+      ].join('\n'))
+      fs.writeFileSync(path.join(root, 'web', 'Noopfile'), [
+        'COMPONENT web static',
+        'FROM nginx',
+        'ROUTE /api/*',
+        'BOGUS thing',
+        'COMPONENT api service',
+        'FROM node:12'
+      ].join('\n'))
+    })
+
+    after(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should stop at the first error by default', (done) => {
+      new Application(root).discover((err) => {
+        assert.instanceOf(err, Error)
+        done()
+      })
+    })
+
+    it('should collect every error in diagnostics mode', (done) => {
+      const app = new Application(root, { diagnostics: true })
+      app.discover((err) => {
+        if (err) return done(err)
+        const codes = app.diagnostics.map((diagnostic) => diagnostic.code).sort()
+        assert.deepEqual(codes, [
+          'duplicate-component',
+          'invalid-resource-setting',
+          'invalid-value',
+          'route-conflict',
+          'unknown-directive',
+          'unsupported-directive'
+        ])
+        app.diagnostics.forEach((diagnostic) => {
+          equal(diagnostic.severity, 'error')
+          assert.isString(diagnostic.file)
+          assert.isNumber(diagnostic.line)
+          assert.isNumber(diagnostic.column)
+          // the location is shown once, by toString
+          assert.notInclude(diagnostic.message, `${diagnostic.file}:${diagnostic.line}`)
+          equal(String(diagnostic).split(diagnostic.file).length, 2)
+        })
+        const invalid = app.diagnostics.find((diagnostic) => diagnostic.code === 'invalid-value')
+        equal(invalid.file, path.join(root, 'api', 'Noopfile'))
+        equal(invalid.line, 3)
+        equal(invalid.column, 10)
+        equal(invalid.source, 'DirectiveError')
+        assert.deepEqual(Object.keys(app.components).sort(), ['api', 'web'])
+        equal(app.routes.length, 1)
+        done()
+      })
+    })
+
+    it('should report overlapping routes as warnings unless strict', async () => {
+      const overlap = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-overlap-')) + '/'
+      fs.writeFileSync(path.join(overlap, 'Noopfile'), [
+        'COMPONENT api service',
+        'FROM node:12',
+        'ROUTE /api/*',
+        'COMPONENT images service',
+        'FROM node:12',
+        'ROUTE /*.png'
+      ].join('\n'))
+      try {
+        const app = await new Application(overlap).discover()
+        equal(app.diagnostics.length, 1)
+        equal(app.diagnostics[0].severity, 'warning')
+        equal(app.diagnostics[0].code, 'route-overlap')
+        assert.deepEqual(app.diagnostics[0].related, [{ file: path.join(overlap, 'Noopfile'), line: 3 }])
+        const err = await new Application(overlap, { strict: true }).discover().catch((err) => err)
+        equal(err.code, 'route-overlap')
+      } finally {
+        fs.rmdirSync(overlap, { recursive: true })
+      }
+    })
+  })
+})
@@ -0,0 +1,110 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+const cli = require('../lib/cli')
+
+/* global describe, it, before, after */
+describe('noop-discovery', () => {
+  describe('#diff', () => {
+    let base, head
+
+    before(() => {
+      base = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-diff-base-'))
+      head = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-diff-head-'))
+      fs.writeFileSync(path.join(base, 'Noopfile'), [
+        'COMPONENT api service',
+        'FROM node:12',
+        'ENV LOG_LEVEL info',
+        'ROUTE /api/*',
+        'ROUTE -m GET /api/users/*',
+        'RESOURCE users mysql -s version=5.6',
+        'COMPONENT worker task',
+        'FROM node:12',
+        'COMPONENT web static',
+        'FROM nginx',
+        'ROUTE /*'
+      ].join('\n'))
+      fs.writeFileSync(path.join(head, 'Noopfile'), [
+        'COMPONENT api service',
+        'FROM node:12',
+        'ENV LOG_LEVEL debug',
+        'ENV DB_PASSWORD changeme -s',
+        'ROUTE /api/*',
+        'ROUTE -m GET /api/users/*',
+        'ROUTE -m POST /api/orders',
+        'RESOURCE users mysql -s version=5.7',
+        'EXPOSE 8080',
+        'COMPONENT worker service',
+        'FROM node:12',
+        'COMPONENT admin static',
+        'FROM nginx',
+        'ROUTE /admin/*'
+      ].join('\n'))
+    })
+
+    after(() => {
+      fs.rmdirSync(base, { recursive: true })
+      fs.rmdirSync(head, { recursive: true })
+    })
+
+    it('should describe changes between two directories', async () => {
+      const changes = await discovery.diff(base, head)
+      const types = changes.map((change) => `${change.type} ${change.name}`)
+      assert.sameMembers(types, [
+        'component-removed web',
+        'component-added admin',
+        'component-retyped worker',
+        'component-setting-changed worker',
+        'component-setting-changed api',
+        'variable-default-changed api.LOG_LEVEL',
+        'secret-added api.DB_PASSWORD',
+        'dockerfile-changed api',
+        'route-removed ALL /*',
+        'route-added ALL /admin/*',
+        'route-added POST /api/orders',
+        'resource-setting-changed users'
+      ])
+      const setting = changes.find((change) => change.type === 'resource-setting-changed')
+      equal(setting.before, '5.6')
+      equal(setting.after, '5.7')
+      equal(setting.message, "Resource 'users' setting 'version' changed from \"5.6\" to \"5.7\"")
+      const secret = changes.find((change) => change.type === 'secret-added')
+      assert.notInclude(JSON.stringify(secret), 'changeme')
+    })
+
+    it('should compare snapshots and report routes moving in precedence', async () => {
+      const app = await discovery.discover(base)
+      const snapshot = app.toJSON()
+      const moved = JSON.parse(JSON.stringify(snapshot))
+      moved.routes.reverse()
+      equal(app.diff(snapshot).length, 0)
+      const changes = app.diff(moved)
+      equal(changes.length, 2)
+      assert.deepEqual(changes.map((change) => change.type), ['route-moved', 'route-moved'])
+      const result = await discovery.diff(moved, snapshot)
+      equal(result.length, 2)
+    })
+
+    it('should print changes from the command line', async () => {
+      let stdout = ''
+      const streams = {
+        stdout: { write: (data) => { stdout += data } },
+        stderr: { write: (data) => { stdout += data } }
+      }
+      equal(await cli.run(['diff', base, head], streams), 0)
+      const lines = stdout.trim().split('\n')
+      assert.match(lines[0], /^TYPE\s+CHANGE$/)
+      assert.include(stdout, "Component 'worker' changed type from task to service")
+      const inspect = path.join(head, 'inspect.json')
+      stdout = ''
+      await cli.run(['inspect', head], streams)
+      fs.writeFileSync(inspect, stdout)
+      stdout = ''
+      equal(await cli.run(['diff', '-f', 'json', inspect, head], streams), 0)
+      assert.deepEqual(JSON.parse(stdout), [])
+    })
+  })
+})
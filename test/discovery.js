@@ -0,0 +1,76 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+const Application = require('../lib/app')
+const Manifest = require('../lib/manifest')
+
+/* global describe, it, before, after */
+describe('noop-discovery', () => {
+  describe('#discover', () => {
+    let root
+
+    before(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-discover-')) + '/'
+      fs.writeFileSync(path.join(root, 'Noopfile'), [
+        'COMPONENT api service',
+        'FROM node:12',
+        'ROUTE /api/*',
+        'RESOURCE users mysql'
+      ].join('\n'))
+    })
+
+    after(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should yield the app to a callback', (done) => {
+      discovery(root, (err, app) => {
+        if (err) return done(err)
+        equal(app.components.api.name, 'api')
+        done()
+      })
+    })
+
+    it('should return a promise without a callback', async () => {
+      const app = await discovery.discover(root, { diagnostics: true })
+      equal(app.components.api.name, 'api')
+      equal(app.diagnostics.length, 0)
+    })
+
+    it('should reject once for a missing root', async () => {
+      let calls = 0
+      const err = await new Promise((resolve) => {
+        discovery(path.join(root, 'missing'), (err) => {
+          calls++
+          resolve(err)
+        })
+      })
+      await new Promise((resolve) => setTimeout(resolve, 20))
+      equal(calls, 1)
+      equal(err.code, 'ENOENT')
+      try {
+        await discovery(path.join(root, 'missing'))
+        assert.fail('should reject')
+      } catch (err) {
+        equal(err.code, 'ENOENT')
+      }
+    })
+
+    it('should make application steps promise capable', async () => {
+      const app = new Application(root)
+      const manifest = new Manifest(path.join(root, 'Noopfile'), app)
+      await manifest.discover()
+      await app.components.api.validate()
+      await app.resources.users.validate()
+      equal(app.routes.length, 1)
+      equal(app.resources.users.settings.version, '5.7')
+      const err = await manifest.discover().catch((err) => err)
+      equal(err.code, 'duplicate-component')
+      const other = new Application(root)
+      equal(await other.discover(), other)
+    })
+  })
+})
@@ -0,0 +1,155 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Application = require('../lib/app')
+
+/* global describe, it, beforeEach, afterEach */
+describe('noop-discovery', () => {
+  describe('#Dockerfile', () => {
+    let root
+
+    const discover = (lines, options) => {
+      fs.writeFileSync(path.join(root, 'api', 'Noopfile'), lines.join('\n'))
+      const app = new Application(root, options)
+      return app.discover().then(() => app)
+    }
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-dockerfile-')) + '/'
+      fs.mkdirSync(path.join(root, 'api', 'src'), { recursive: true })
+      fs.writeFileSync(path.join(root, 'api', 'package.json'), '{}')
+      fs.writeFileSync(path.join(root, 'api', 'src', 'index.js'), '')
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should keep the full instruction set and build stages', async () => {
+      const lines = [
+        'COMPONENT api service',
+        'ARG NODE_VERSION=12',
+        'FROM node:$NODE_VERSION AS build',
+        'LABEL maintainer="ops@example.com" tier=backend',
+        'SHELL ["/bin/bash", "-c"]',
+        'COPY package*.json ./',
+        'COPY ["src", "./src"]',
+        'RUN npm ci',
+        'FROM node:12-slim',
+        'COPY --from=build /app ./',
+        'COPY --from=0 /app/node_modules ./node_modules',
+        'COPY --from=nginx:latest /etc/nginx/nginx.conf /nginx.conf',
+        'ADD https://example.com/tool.tgz /opt/',
+        'VOLUME /data',
+        'STOPSIGNAL SIGTERM',
+        'ONBUILD RUN npm test',
+        'EXPOSE 8080',
+        'CMD ["node", "src/index.js"]'
+      ]
+      const app = await discover(lines)
+      equal(app.components.api.dockerfile, lines.slice(1).join('\n') + '\n')
+    })
+
+    it('should report missing sources and invalid stages', async () => {
+      const app = await discover([
+        'COMPONENT api service',
+        'FROM node:12 AS build',
+        'COPY missing.txt src/*.js ./',
+        'COPY ../secrets ./',
+        'COPY --from=release /app ./',
+        'FROM node:12 AS release',
+        'FROM nginx AS Build',
+        'ADD --from=build /app ./',
+        'SHELL /bin/bash -c',
+        'ONBUILD FROM node:12'
+      ], { diagnostics: true })
+      const errors = app.diagnostics.map((diagnostic) => `${diagnostic.line}:${diagnostic.column} ${diagnostic.code}`)
+      assert.sameMembers(errors, [
+        '3:6 missing-source',
+        '4:6 source-outside-context',
+        '5:13 invalid-copy-from',
+        '7:15 duplicate-stage',
+        '8:5 invalid-copy-from',
+        '9:1 invalid-shell',
+        '10:9 invalid-onbuild'
+      ])
+      const missing = app.diagnostics.find((diagnostic) => diagnostic.code === 'missing-source')
+      assert.include(missing.message, "'missing.txt' does not exist")
+    })
+
+    it('should stop at the first Dockerfile error by default', async () => {
+      const err = await discover(['COMPONENT api service', 'FROM node:12', 'COPY dist ./']).catch((err) => err)
+      equal(err.name, 'DockerfileError')
+      equal(err.code, 'missing-source')
+    })
+
+    describe('DOCKERFILE', () => {
+      const dockerfile = [
+        '# build',
+        'FROM node:12 AS build',
+        'COPY package.json ./',
+        'RUN npm ci',
+        'FROM node:12-slim AS release',
+        'COPY --from=build /app ./',
+        'CMD ["node", "index.js"]',
+        'FROM release AS debug',
+        'RUN npm i -g ndb'
+      ]
+
+      beforeEach(() => {
+        fs.mkdirSync(path.join(root, 'api', 'docker'))
+        fs.writeFileSync(path.join(root, 'api', 'docker', 'Dockerfile'), dockerfile.join('\n'))
+      })
+
+      it('should read the Dockerfile up to the target stage', async () => {
+        const app = await discover(['COMPONENT api service', 'DOCKERFILE docker/Dockerfile --target release', 'ROUTE /*'])
+        const api = app.components.api
+        equal(api.dockerfile, dockerfile.slice(1, 7).join('\n') + '\n')
+        const model = app.toJSON()
+        assert.deepEqual(model.components[0].dockerfileSource, {
+          path: 'api/docker/Dockerfile',
+          target: 'release',
+          declaration: 'api/Noopfile:2'
+        })
+        assert.deepEqual(Application.fromJSON(model).toJSON(), model)
+      })
+
+      it('should report missing files, targets and inline instructions', async () => {
+        const app = await discover([
+          'COMPONENT api service',
+          'DOCKERFILE docker/Dockerfile.prod',
+          'COMPONENT web service',
+          'DOCKERFILE docker/Dockerfile -t staging',
+          'COMPONENT admin service',
+          'DOCKERFILE docker/Dockerfile',
+          'RUN make'
+        ], { diagnostics: true })
+        const errors = app.diagnostics.map((diagnostic) => `${diagnostic.line} ${diagnostic.code}`)
+        assert.sameMembers(errors, ['2 missing-dockerfile', '4 unknown-dockerfile-target', '6 dockerfile-conflict'])
+        const conflict = app.diagnostics.find((diagnostic) => diagnostic.code === 'dockerfile-conflict')
+        equal(conflict.message, "Directive 'RUN' cannot be combined with DOCKERFILE")
+        assert.deepEqual(conflict.related.map((related) => related.line), [7])
+      })
+
+      it('should apply ENV and EXPOSE alongside the Dockerfile', async () => {
+        const app = await discover(['COMPONENT api service', 'DOCKERFILE docker/Dockerfile', 'ENV NODE_ENV production', 'EXPOSE 3000'], { diagnostics: true })
+        const api = app.components.api
+        assert.deepEqual(app.diagnostics, [])
+        equal(api.variables.NODE_ENV.default, 'production')
+        equal(api.settings.port, 3000)
+        equal(api.dockerfile, dockerfile.slice(1).join('\n') + '\n')
+      })
+
+      it('should re-parse the manifest when the Dockerfile changes', async () => {
+        const app = await discover(['COMPONENT api service', 'DOCKERFILE docker/Dockerfile'])
+        equal((await app.refresh()).manifests.changed.length, 0)
+        fs.writeFileSync(path.join(root, 'api', 'docker', 'Dockerfile'), 'FROM node:14\n')
+        const changes = await app.refresh()
+        assert.deepEqual(changes.manifests.changed, ['api/Noopfile'])
+        equal(app.components.api.dockerfile, 'FROM node:14\n')
+      })
+    })
+  })
+})
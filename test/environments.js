@@ -0,0 +1,102 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+const Application = require('../lib/app')
+const validate = require('../lib/schema')
+
+/* global describe, it, beforeEach, afterEach */
+describe('noop-discovery', () => {
+  describe('#environments', () => {
+    let root
+
+    const write = (file, lines) => fs.writeFileSync(path.join(root, file), lines.join('\n'))
+
+    const lines = [
+      'COMPONENT api service',
+      'FROM node:12',
+      'ENV LOG_LEVEL info',
+      'ENV -s API_KEY',
+      'CPU 0.5',
+      'MEMORY 512',
+      'CMD ["node", "index.js"]',
+      'RESOURCE users mysql -s storage=40GB'
+    ]
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-environments-')) + '/'
+      write('Noopfile', lines)
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should resolve settings and variables for an environment', async () => {
+      write('Noopfile.prod', [
+        'COMPONENT api',
+        'CPU 2',
+        'MEMORY 2048',
+        'ENV LOG_LEVEL warn',
+        'ENV API_KEY secret://prod/api-key',
+        'RESOURCE users -s storage=500GB'
+      ])
+      const app = await discovery.discover(root, { environment: 'prod' })
+      const api = app.components.api
+      equal(api.settings.cpu, 2)
+      equal(api.settings.memory, 2048)
+      equal(api.variables.LOG_LEVEL.value, 'warn')
+      assert.deepEqual(api.variables.API_KEY, { default: null, secret: true, source: 'secret://prod/api-key' })
+      equal(api.base.settings.cpu, 0.5)
+      equal(api.base.variables.LOG_LEVEL.value, 'info')
+      assert.include(api.dockerfile, 'ENV LOG_LEVEL info\n')
+      equal(app.resources.users.settings.storage, 500 * 1024 * 1024 * 1024)
+      equal(app.resources.users.base.settings.storage, 40 * 1024 * 1024 * 1024)
+      const model = app.toJSON()
+      equal(model.environment, 'prod')
+      assert.deepEqual(validate(model), [])
+      assert.deepEqual(Application.fromJSON(model).toJSON(), model)
+      const staging = await discovery.discover(root, { environment: 'staging' })
+      equal(staging.components.api.settings.cpu, 0.5)
+      const plain = (await discovery.discover(root)).toJSON()
+      equal(plain.environment, null)
+      equal(plain.components[0].base, null)
+      equal(plain.resources[0].base, null)
+    })
+
+    it('should report overrides of unknown or unsupported targets', async () => {
+      write('Noopfile.prod', [
+        'COMPONENT web',
+        'CPU 2',
+        'COMPONENT api',
+        'ENV MISSING 1',
+        'EXPOSE 9000',
+        'RESOURCE users mysql -s storage=500GB',
+        'RESOURCE cache -s version=6'
+      ])
+      const app = await discovery.discover(root, { environment: 'prod', diagnostics: true })
+      assert.sameMembers(app.diagnostics.map((diagnostic) => `${diagnostic.line} ${diagnostic.code}`), [
+        '1 unknown-override-component',
+        '4 unknown-override-variable',
+        '5 unsupported-override',
+        '6 unsupported-override',
+        '7 unknown-override-resource'
+      ])
+      assert.isTrue(app.diagnostics.every((diagnostic) => diagnostic.file === path.join(root, 'Noopfile.prod')))
+      const err = await discovery.discover(root, { environment: 'prod' }).catch((err) => err)
+      equal(err.code, 'unknown-override-component')
+    })
+
+    it('should refresh when the override file changes', async () => {
+      const app = await discovery.discover(root, { environment: 'dev' })
+      equal(app.components.api.settings.memory, 512)
+      equal((await app.refresh()).manifests.changed.length, 0)
+      write('Noopfile.dev', ['COMPONENT api', 'MEMORY 256'])
+      assert.deepEqual((await app.refresh()).manifests.changed, ['Noopfile'])
+      equal(app.components.api.settings.memory, 256)
+      equal(app.components.api.base.settings.memory, 512)
+    })
+  })
+})
@@ -0,0 +1,124 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+const Application = require('../lib/app')
+const healthcheck = require('../lib/healthcheck')
+const validate = require('../lib/schema')
+
+/* global describe, it, beforeEach, afterEach */
+describe('noop-discovery', () => {
+  describe('#healthcheck', () => {
+    let root
+
+    const discover = (lines, options) => {
+      fs.writeFileSync(path.join(root, 'Noopfile'), lines.join('\n'))
+      return discovery.discover(root, options)
+    }
+
+    const codes = (app) => app.diagnostics.map((diagnostic) => `${diagnostic.line}:${diagnostic.column} ${diagnostic.severity} ${diagnostic.code}`)
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-healthcheck-')) + '/'
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should model HTTP checks and add them to the Dockerfile', async () => {
+      const app = await discover([
+        'COMPONENT api service',
+        'FROM node:12',
+        'EXPOSE 3000',
+        'HEALTHCHECK -i 1m -t 500ms --start-period 5s -r 2 -m HEAD --status 204 HTTP /api/health',
+        'CMD ["node", "index.js"]',
+        'ROUTE -m GET /api/*'
+      ], { diagnostics: true })
+      const api = app.components.api
+      assert.deepEqual(api.healthCheck, {
+        type: 'HTTP',
+        method: 'HEAD',
+        path: '/api/health',
+        status: 204,
+        port: 3000,
+        command: null,
+        shell: null,
+        interval: 60,
+        timeout: 0.5,
+        startPeriod: 5,
+        retries: 2
+      })
+      equal(api.dockerfile, [
+        'FROM node:12',
+        'EXPOSE 3000',
+        'CMD ["node", "index.js"]',
+        'HEALTHCHECK --interval=60s --timeout=0.5s --start-period=5s --retries=2 CMD [ "$(curl -s -o /dev/null -w \'%{http_code}\' -I http://localhost:3000/api/health)" = "204" ] || exit 1',
+        ''
+      ].join('\n'))
+      assert.deepEqual(codes(app), ['4:77 warning unrouted-health-check'])
+      const model = app.toJSON()
+      assert.deepEqual(model.components[0].healthCheck, api.healthCheck)
+      assert.deepEqual(validate(model), [])
+      assert.deepEqual(Application.fromJSON(model).toJSON(), model)
+      assert.deepEqual(app.compose().services.api.healthcheck.start_period, '5s')
+    })
+
+    it('should model CMD checks in exec and shell form', async () => {
+      const app = await discover([
+        'COMPONENT api service',
+        'HEALTHCHECK CMD ["pg_isready", "-t", "1"]',
+        'COMPONENT web service',
+        'HEALTHCHECK -i 30 CMD curl -i -f http://localhost/ | grep OK'
+      ])
+      assert.deepEqual(app.components.api.healthCheck.command, ['pg_isready', '-t', '1'])
+      equal(app.components.api.healthCheck.shell, false)
+      assert.include(app.components.api.dockerfile, 'HEALTHCHECK CMD ["pg_isready","-t","1"]\n')
+      assert.deepEqual(app.components.web.healthCheck.command, ['curl -i -f http://localhost/ | grep OK'])
+      equal(app.components.web.healthCheck.interval, 30)
+      assert.include(app.components.web.dockerfile, 'HEALTHCHECK --interval=30s CMD curl -i -f http://localhost/ | grep OK\n')
+      const services = app.compose().services
+      assert.deepEqual(services.api.healthcheck.test, ['CMD', 'pg_isready', '-t', '1'])
+      assert.deepEqual(services.web.healthcheck.test, ['CMD-SHELL', 'curl -i -f http://localhost/ | grep OK'])
+    })
+
+    it('should add checks to a DOCKERFILE', async () => {
+      fs.writeFileSync(path.join(root, 'Dockerfile'), 'FROM node:12\nHEALTHCHECK NONE\n')
+      const app = await discover(['COMPONENT api service', 'DOCKERFILE Dockerfile', 'HEALTHCHECK -i 10s CMD true'])
+      equal(app.components.api.dockerfile, 'FROM node:12\nHEALTHCHECK NONE\nHEALTHCHECK --interval=10s CMD true\n')
+    })
+
+    it('should report invalid checks', async () => {
+      const app = await discover([
+        'COMPONENT a service',
+        'HEALTHCHECK HTTP',
+        'COMPONENT b service',
+        'HEALTHCHECK HTTP health',
+        'COMPONENT c service',
+        'HEALTHCHECK -i 5s -t 10 HTTP /status',
+        'ROUTE /*',
+        'COMPONENT d service',
+        'HEALTHCHECK -i 10x CMD true',
+        'COMPONENT e service',
+        'HEALTHCHECK CMD',
+        'COMPONENT f service',
+        'HEALTHCHECK --timeout 30s CMD true'
+      ], { diagnostics: true })
+      assert.sameMembers(codes(app), [
+        '2:1 error missing-health-check-path',
+        '4:18 error invalid-health-check-path',
+        '6:22 error invalid-health-check-timeout',
+        '9:16 error invalid-format',
+        '11:1 error missing-health-check-command',
+        '13:23 error invalid-health-check-timeout'
+      ])
+      assert.include(app.diagnostics.find((diagnostic) => diagnostic.line === 13).message, 'must be less than the interval 30s')
+      const err = await discover(['COMPONENT api service', 'HEALTHCHECK HTTP /health', 'ROUTE /api/*'], { strict: true }).catch((err) => err)
+      equal(err.code, 'unrouted-health-check')
+      equal(healthcheck.seconds('1.5m'), 90)
+      equal(healthcheck.seconds('soon'), null)
+    })
+  })
+})
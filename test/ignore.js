@@ -0,0 +1,105 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Ignore = require('../lib/ignore')
+const Application = require('../lib/app')
+
+/* global describe, it, before, after */
+describe('noop-discovery', () => {
+  describe('#Ignore', () => {
+    const root = '/app'
+    const ignore = (contents, base = root) => new Ignore(root).extend(base, contents)
+
+    it('should match unanchored patterns at any depth', () => {
+      const rules = ignore('node_modules')
+      equal(rules.ignores('/app/node_modules', true), true)
+      equal(rules.ignores('/app/api/node_modules', true), true)
+      equal(rules.ignores('/app/api/node_modules_x', true), false)
+    })
+
+    it('should anchor patterns containing a slash', () => {
+      const rules = ignore('/build\nfixtures/data')
+      equal(rules.ignores('/app/build', true), true)
+      equal(rules.ignores('/app/api/build', true), false)
+      equal(rules.ignores('/app/fixtures/data', true), true)
+      equal(rules.ignores('/app/api/fixtures/data', true), false)
+    })
+
+    it('should only match directories for trailing slash patterns', () => {
+      const rules = ignore('vendor/')
+      equal(rules.ignores('/app/vendor', true), true)
+      equal(rules.ignores('/app/vendor', false), false)
+    })
+
+    it('should support wildcards', () => {
+      const rules = ignore('*.log\n**/tmp/**\nfile?.txt\n[ab].js')
+      equal(rules.ignores('/app/api/debug.log', false), true)
+      equal(rules.ignores('/app/api/tmp/x/y', false), true)
+      equal(rules.ignores('/app/file1.txt', false), true)
+      equal(rules.ignores('/app/file10.txt', false), false)
+      equal(rules.ignores('/app/a.js', false), true)
+      equal(rules.ignores('/app/c.js', false), false)
+    })
+
+    it('should support negation with last match winning', () => {
+      const rules = ignore('*.log\n!keep.log')
+      equal(rules.ignores('/app/debug.log', false), true)
+      equal(rules.ignores('/app/keep.log', false), false)
+    })
+
+    it('should scope nested rules to their directory', () => {
+      const rules = ignore('dist').extend('/app/api', '/out\n!dist')
+      equal(rules.ignores('/app/dist', true), true)
+      equal(rules.ignores('/app/api/dist', true), false)
+      equal(rules.ignores('/app/api/out', true), true)
+      equal(rules.ignores('/app/out', true), false)
+    })
+
+    it('should apply programmatic patterns last', () => {
+      const rules = new Ignore(root, ['fixtures/']).extend(root, '!fixtures')
+      equal(rules.ignores('/app/fixtures', true), true)
+    })
+
+    it('should ignore comments and blank lines', () => {
+      const rules = ignore('# comment\n\n\\#hash')
+      equal(rules.ignores('/app/# comment', false), false)
+      equal(rules.ignores('/app/#hash', false), true)
+    })
+
+    describe('discovery', () => {
+      let tmp
+      const component = (name) => `COMPONENT ${name} service\nFROM node:12`
+      const write = (file, contents) => {
+        fs.mkdirSync(path.dirname(path.join(tmp, file)), { recursive: true })
+        fs.writeFileSync(path.join(tmp, file), contents)
+      }
+
+      before(() => {
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-ignore-')) + '/'
+        write('.gitignore', 'node_modules/\n')
+        write('api/Noopfile', component('api'))
+        write('api/node_modules/dep/Noopfile', component('api'))
+        write('web/Noopfile', component('web'))
+        write('web/.noopignore', 'fixtures\n')
+        write('web/fixtures/Noopfile', component('web'))
+        write('vendor/Noopfile', component('api'))
+      })
+
+      after(() => {
+        fs.rmdirSync(tmp, { recursive: true })
+      })
+
+      it('should skip ignored Noopfiles', (done) => {
+        const app = new Application(tmp, { ignore: ['vendor/'] })
+        app.discover((err) => {
+          if (err) return done(err)
+          assert.deepEqual(Object.keys(app.components).sort(), ['api', 'web'])
+          equal(app.ignoreFiles.length, 2)
+          done()
+        })
+      })
+    })
+  })
+})
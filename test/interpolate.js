@@ -0,0 +1,130 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+const interpolate = require('../lib/interpolate')
+
+/* global describe, it, beforeEach, afterEach */
+describe('noop-discovery', () => {
+  describe('#interpolate', () => {
+    let root
+
+    const discover = (lines, options) => {
+      fs.writeFileSync(path.join(root, 'Noopfile'), lines.join('\n'))
+      return discovery.discover(root, options)
+    }
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-interpolate-')) + '/'
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should find references', () => {
+      assert.deepEqual(interpolate.parse('${A}:\\${B}:${C:-x}:${resource.users.host}:${a b}'), [
+        { expression: 'A', index: 0, name: 'A', modifier: undefined, word: undefined },
+        { expression: 'C:-x', index: 11, name: 'C', modifier: '-', word: 'x' },
+        { expression: 'resource.users.host', index: 19, kind: 'resource', target: 'users', attribute: 'host' },
+        { expression: 'a b', index: 42 }
+      ])
+      equal(interpolate.substitute('${A}/${B}', (ref) => (ref.name === 'A') ? 'a' : undefined), 'a/${B}')
+    })
+
+    it('should resolve ENV, ARG, resource and component references', async () => {
+      const app = await discover([
+        'COMPONENT api service',
+        'ARG NODE_VERSION=12',
+        'FROM node:$NODE_VERSION',
+        'ENV RUNTIME node-${NODE_VERSION}',
+        'ENV DATA_DIR /data',
+        'ENV CACHE_DIR ${DATA_DIR}/cache',
+        'ENV PATH /app/bin:${PATH}',
+        'ENV REGION ${AWS_REGION:-us-east-1}',
+        'ENV DATABASE_URL mysql://${resource.users.host}:${resource.users.port}/${resource.users.name}',
+        'ENV WEB_URL ${component.web.url}',
+        'ENV WEB_PORT ${component.web.port}',
+        'ENV HEALTH_PATH /health',
+        'EXPOSE 8080',
+        'HEALTHCHECK HTTP ${HEALTH_PATH}',
+        'RESOURCE users mysql',
+        'COMPONENT web service',
+        'FROM nginx',
+        'EXPOSE 3000'
+      ])
+      const variables = app.components.api.variables
+      const values = {}
+      Object.keys(variables).forEach((key) => { values[key] = variables[key].value })
+      assert.deepEqual(values, {
+        RUNTIME: 'node-12',
+        DATA_DIR: '/data',
+        CACHE_DIR: '/data/cache',
+        PATH: '/app/bin:${PATH}',
+        REGION: 'us-east-1',
+        DATABASE_URL: 'mysql://${resource.users.host}:3306/users',
+        WEB_URL: '${component.web.url}',
+        WEB_PORT: '3000',
+        HEALTH_PATH: '/health'
+      })
+      equal(variables.CACHE_DIR.default, '${DATA_DIR}/cache')
+      equal(app.components.api.settings.healthCheck, '/health')
+      const dockerfile = app.components.api.dockerfile
+      assert.include(dockerfile, 'ENV CACHE_DIR ${DATA_DIR}/cache\n')
+      assert.notInclude(dockerfile, 'DATABASE_URL')
+      assert.notInclude(dockerfile, 'WEB_URL')
+      const environment = app.compose().services.api.environment
+      equal(environment.DATABASE_URL, 'mysql://users-mysql:3306/users')
+      equal(environment.WEB_URL, 'http://web:3000')
+      equal(environment.PATH, '/app/bin:$${PATH}')
+    })
+
+    it('should report undefined references and cycles', async () => {
+      const app = await discover([
+        'COMPONENT api service',
+        'ENV A ${B}',
+        'ENV B ${A}',
+        'ENV C ${MISSING}',
+        'ENV D ${resource.cache.host}',
+        'ENV E ${component.jobs.url}',
+        'ENV F ${component.nope.url}',
+        'ENV G ${resource.users.arn}',
+        'ENV H ${not-valid}',
+        'HEALTHCHECK CMD curl ${UNSET}',
+        'RESOURCE users mysql',
+        'COMPONENT jobs task',
+        'RESOURCE cache redis'
+      ], { diagnostics: true })
+      const errors = app.diagnostics.map((diagnostic) => `${diagnostic.line}:${diagnostic.column} ${diagnostic.code}`)
+      assert.sameMembers(errors, [
+        '3:7 reference-cycle',
+        '4:7 undefined-reference',
+        '5:7 undefined-reference',
+        '6:7 undefined-reference',
+        '7:7 undefined-reference',
+        '8:7 undefined-reference',
+        '9:7 invalid-reference',
+        '10:22 undefined-reference'
+      ])
+      assert.include(app.diagnostics.find((diagnostic) => diagnostic.line === 5).message, "Component 'api' does not use resource 'cache'")
+      const err = await discover(['COMPONENT api service', 'ENV A ${B}']).catch((err) => err)
+      equal(err.name, 'InterpolationError')
+      equal(err.message, "Undefined variable 'B'")
+    })
+
+    it('should reject references in directives that do not resolve them', async () => {
+      const app = await discover([
+        'COMPONENT api service',
+        'ENV PREFIX api',
+        'ROUTE /${PREFIX}/*',
+        'RESOURCE sessions dynamodb -s hashKeyName=${KEY} -s hashKeyType=S',
+        'RUN echo ${PREFIX}'
+      ], { diagnostics: true })
+      const errors = app.diagnostics.map((diagnostic) => `${diagnostic.line}:${diagnostic.column} ${diagnostic.code}`)
+      assert.sameMembers(errors, ['3:8 unsupported-reference', '4:43 unsupported-reference'])
+      equal(app.diagnostics.find((diagnostic) => diagnostic.line === 3).message, 'References are not resolved in ROUTE, only in ENV and HEALTHCHECK')
+    })
+  })
+})
@@ -0,0 +1,77 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+const Application = require('../lib/app')
+
+/* global describe, it, before, after */
+describe('noop-discovery', () => {
+  describe('#fromJSON', () => {
+    let root, model
+
+    before(async () => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-model-')) + '/'
+      fs.mkdirSync(path.join(root, 'api'))
+      fs.writeFileSync(path.join(root, 'api', 'Noopfile'), [
+        'COMPONENT api service',
+        'FROM node:12',
+        'ENV LOG_LEVEL info',
+        'EXPOSE 8080',
+        'ROUTE -c header.x-beta /api/*',
+        'ROUTE /api/*',
+        'ROUTE -m GET /api/users/:id',
+        'RESOURCE users mysql -s version=5.6'
+      ].join('\n'))
+      fs.writeFileSync(path.join(root, 'Noopfile'), [
+        'COMPONENT web static',
+        'FROM nginx',
+        'ROUTE /*',
+        'COMPONENT worker task',
+        'FROM node:12',
+        'RESOURCE users'
+      ].join('\n'))
+      model = (await discovery.discover(root)).toJSON()
+    })
+
+    after(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should round trip through toJSON()', () => {
+      const app = Application.fromJSON(JSON.stringify(model))
+      assert.deepEqual(app.toJSON(), model)
+      assert.deepEqual(Application.fromJSON(model, root).toJSON(), model)
+    })
+
+    it('should restore cross references', () => {
+      const app = Application.fromJSON(model, root)
+      const api = app.components.api
+      equal(api.rootPath, path.join(root, 'api') + '/')
+      equal(api.resources[0], app.resources.users)
+      equal(app.components.worker.resources[0], app.resources.users)
+      equal(api.routes.length, 3)
+      api.routes.forEach((route) => equal(route.component, api))
+      equal(app.manifests.find((manifest) => manifest.filePath === path.join(root, 'api', 'Noopfile')).components[0], api)
+      assert.sameMembers(app.resources.users.directives.map((directive) => directive.file), [path.join(root, 'api', 'Noopfile'), path.join(root, 'Noopfile')])
+    })
+
+    it('should match routes without the source tree', () => {
+      const app = Application.fromJSON(model)
+      let result = app.matchRoute('GET', '/api/users/42')
+      equal(result.route.component.name, 'api')
+      assert.deepEqual(result.params, { id: '42' })
+      result = app.matchRoute('POST', '/api/users/42', { headers: { 'x-beta': 'yes' } })
+      equal(result.route.condition.source, 'header.x-beta')
+      equal(app.matchRoute('GET', '/index.html').route.component.name, 'web')
+    })
+
+    it('should reject invalid models', () => {
+      assert.throws(() => Application.fromJSON({ components: [] }), /Invalid application model: \/schemaVersion is required/)
+      const broken = JSON.parse(JSON.stringify(model))
+      broken.routes[0].component = 'missing'
+      assert.throws(() => Application.fromJSON(broken), /\/routes\/0\/component refers to unknown component 'missing'/)
+    })
+  })
+})
@@ -0,0 +1,87 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+
+/* global describe, it, before, after */
+describe('noop-discovery', () => {
+  describe('#Plugins', () => {
+    let root
+
+    before(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-plugins-')) + '/'
+      fs.mkdirSync(path.join(root, 'plugins'))
+      fs.writeFileSync(path.join(root, 'plugins', 'worker.js'), `
+        module.exports = (discovery) => {
+          discovery.registerComponentType('worker', {
+            settings: { replicas: 1 },
+            allowedDirectives: ['FROM', 'RUN', 'CMD', 'RESOURCE', 'REPLICAS']
+          })
+          discovery.registerDirective('REPLICAS', {
+            count: { operand: 0, required: true, match: /^\\d+$/ }
+          }, {
+            componentTypes: ['worker', 'service'],
+            settings: (settings, directive) => {
+              settings.replicas = parseInt(directive.params.count)
+            }
+          })
+          discovery.registerResourceType('memcached', {
+            settings: { memory: { type: 'size', default: 64 * 1024 * 1024 } }
+          })
+        }
+      `)
+      fs.writeFileSync(path.join(root, 'noop.config.json'), JSON.stringify({ plugins: ['./plugins/worker'] }))
+      fs.writeFileSync(path.join(root, 'Noopfile'), [
+        'COMPONENT jobs worker',
+        'FROM node:12',
+        'REPLICAS 3',
+        'RESOURCE cache memcached -s memory=128MB',
+        'COMPONENT api service',
+        'FROM node:12',
+        'REPLICAS 2'
+      ].join('\n'))
+    })
+
+    after(() => {
+      discovery.resetPlugins()
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should load plugins from the config file', (done) => {
+      discovery(root, (err, app) => {
+        if (err) return done(err)
+        equal(app.components.jobs.type, 'worker')
+        equal(app.components.jobs.settings.replicas, 3)
+        equal(app.components.api.settings.replicas, 2)
+        equal(app.components.api.settings.port, 80)
+        equal(app.resources.cache.settings.memory, 128 * 1024 * 1024)
+        done()
+      })
+    })
+
+    it('should reject invalid registrations', () => {
+      assert.throws(() => discovery.registerDirective('lowercase', {}), TypeError)
+      assert.throws(() => discovery.registerComponentType('broken', {}), TypeError)
+      assert.throws(() => discovery.registerResourceType('broken', { settings: { size: { type: 'bogus' } } }), TypeError)
+      assert.throws(() => discovery.registerDirective('ROUTE', {}), /built in/)
+      assert.throws(() => discovery.registerComponentType('service', { allowedDirectives: [] }), /built in/)
+      assert.throws(() => discovery.registerResourceType('mysql', { settings: {} }), /built in/)
+      assert.throws(() => discovery.registerResourceType('queue', { alias: 'sns' }), /built in/)
+    })
+
+    it('should drop registrations on reset', async () => {
+      await discovery(root)
+      discovery.resetPlugins()
+      const other = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-plugins-'))
+      fs.writeFileSync(path.join(other, 'Noopfile'), 'COMPONENT api service\nREPLICAS 2\nRESOURCE cache memcached\nRESOURCE db mysql -s version=5.6\n')
+      const app = await discovery(other, { diagnostics: true })
+      fs.rmdirSync(other, { recursive: true })
+      assert.deepEqual(app.diagnostics.map((diagnostic) => diagnostic.code), ['unknown-directive', 'unknown-resource-type'])
+      equal(app.resources.db.settings.version, '5.6')
+      // plugins are loaded again by the next discovery of their root
+      equal((await discovery(root)).components.jobs.settings.replicas, 3)
+    })
+  })
+})
@@ -0,0 +1,93 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Application = require('../lib/app')
+const Cache = require('../lib/cache')
+
+/* global describe, it, beforeEach, afterEach */
+describe('noop-discovery', () => {
+  describe('#refresh', () => {
+    let root
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-refresh-')) + '/'
+      fs.mkdirSync(path.join(root, 'api'))
+      fs.mkdirSync(path.join(root, 'web'))
+      fs.writeFileSync(path.join(root, 'api', 'Noopfile'), [
+        'COMPONENT api service',
+        'FROM node:12',
+        'ROUTE /api/*',
+        'RESOURCE users mysql'
+      ].join('\n'))
+      fs.writeFileSync(path.join(root, 'web', 'Noopfile'), [
+        'COMPONENT web static',
+        'FROM nginx',
+        'ROUTE /*'
+      ].join('\n'))
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should only re-parse changed manifests', async () => {
+      const app = await new Application(root).discover()
+      const web = app.components.web
+      fs.writeFileSync(path.join(root, 'api', 'Noopfile'), [
+        '# moved down a line',
+        'COMPONENT api service',
+        'FROM node:12',
+        'ROUTE -m GET /api/*',
+        'RESOURCE users mysql -s version=5.6'
+      ].join('\n'))
+      const changes = await app.refresh()
+      equal(app.components.web, web)
+      assert.deepEqual(changes.manifests, { added: [], removed: [], changed: ['api/Noopfile'] })
+      assert.deepEqual(changes.components, { added: [], removed: [], changed: [] })
+      assert.deepEqual(changes.resources, { added: [], removed: [], changed: ['users'] })
+      assert.deepEqual(changes.routes, { added: ['GET /api/*'], removed: ['ALL /api/*'], changed: [] })
+    })
+
+    it('should pick up added and removed manifests', async () => {
+      const app = await new Application(root).discover()
+      fs.rmdirSync(path.join(root, 'web'), { recursive: true })
+      fs.mkdirSync(path.join(root, 'worker'))
+      fs.writeFileSync(path.join(root, 'worker', 'Noopfile'), [
+        'COMPONENT worker task',
+        'FROM node:12'
+      ].join('\n'))
+      const changes = await app.refresh()
+      assert.deepEqual(changes.manifests, { added: ['worker/Noopfile'], removed: ['web/Noopfile'], changed: [] })
+      assert.deepEqual(changes.components, { added: ['worker'], removed: ['web'], changed: [] })
+      assert.deepEqual(changes.routes.removed, ['ALL /*'])
+      assert.deepEqual(Object.keys(app.components).sort(), ['api', 'worker'])
+      const unchanged = await app.refresh()
+      assert.deepEqual(unchanged.manifests, { added: [], removed: [], changed: [] })
+    })
+
+    it('should reuse parsed manifests from a cache file', async () => {
+      const cacheFile = path.join(root, '.noop-cache.json')
+      await new Application(root, { cache: cacheFile }).discover()
+      const cached = JSON.parse(fs.readFileSync(cacheFile))
+      const manifest = path.join(root, 'api', 'Noopfile')
+      equal(cached.entries[manifest].hash, Cache.hash(fs.readFileSync(manifest).toString()))
+      equal(cached.entries[manifest].directives.length, 4)
+      assert.deepEqual(cached.entries[manifest].directives[2].values, { pattern: '/api/*', method: 'ALL', private: false, condition: null })
+      // directives are restored from the cache rather than parsed again
+      cached.entries[manifest].directives[2].values.pattern = '/cached/*'
+      fs.writeFileSync(cacheFile, JSON.stringify(cached))
+      const restored = await new Application(root, { cache: cacheFile }).discover()
+      equal(restored.components.api.routes[0].pattern, '/cached/*')
+      // a stale entry is ignored because the hash no longer matches
+      cached.entries[manifest].hash = 'stale'
+      cached.entries[manifest].directives = []
+      fs.writeFileSync(cacheFile, JSON.stringify(cached))
+      const app = await new Application(root, { cache: cacheFile }).discover()
+      equal(app.components.api.routes.length, 1)
+      fs.writeFileSync(cacheFile, 'not json')
+      await new Application(root, { cache: cacheFile }).discover()
+    })
+  })
+})
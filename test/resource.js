@@ -0,0 +1,146 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const Application = require('../lib/app')
+const Directive = require('../lib/directive')
+const Resource = require('../lib/resource')
+
+const declare = (app, lines, done) => {
+  const component = { app }
+  let pending = lines.length
+  lines.forEach((line, index) => {
+    new Directive(line, '/tmp/Noopfile', index + 1).parse((err, directive) => {
+      if (err) throw err
+      Resource.register(component, directive, (err) => {
+        if (err) throw err
+        if (--pending === 0) done(app.resources.users)
+      })
+    })
+  })
+}
+
+/* global describe, it */
+describe('noop-discovery', () => {
+  describe('#Resource', () => {
+    describe('warnings', () => {
+      it('should warn on conflicting settings', (done) => {
+        const app = new Application('/tmp/')
+        declare(app, [
+          'RESOURCE users mysql -s version=5.6',
+          'RESOURCE users -s version=5.7'
+        ], (resource) => {
+          resource.validate((err) => {
+            if (err) return done(err)
+            equal(resource.settings.version, '5.6')
+            equal(resource.warnings.length, 1)
+            equal(resource.warnings[0].code, 'resource-setting-conflict')
+            equal(resource.warnings[0].line, 2)
+            assert.deepEqual(resource.warnings[0].related, [{ file: '/tmp/Noopfile', line: 1 }])
+            assert.include(resource.warnings[0].message, "already declared as '5.6'")
+            assert.notInclude(resource.warnings[0].message, '/tmp/Noopfile')
+            equal(app.diagnostics.length, 1)
+            equal(app.diagnostics[0].severity, 'warning')
+            done()
+          })
+        })
+      })
+
+      it('should warn on malformed settings', (done) => {
+        const app = new Application('/tmp/')
+        declare(app, [
+          'RESOURCE users mysql -s version -s version=5.6'
+        ], (resource) => {
+          resource.validate((err) => {
+            if (err) return done(err)
+            assert.deepEqual(resource.warnings.map((warning) => warning.code), [
+              'malformed-resource-setting'
+            ])
+            equal(resource.warnings[0].column, 25)
+            done()
+          })
+        })
+      })
+
+      it('should promote warnings to errors in strict mode', (done) => {
+        const app = new Application('/tmp/', { strict: true })
+        declare(app, [
+          'RESOURCE users mysql -s version'
+        ], (resource) => {
+          resource.validate((err) => {
+            equal(err.name, 'ResourceError')
+            equal(err.code, 'malformed-resource-setting')
+            equal(app.diagnostics.length, 0)
+            done()
+          })
+        })
+      })
+    })
+
+    describe('settings', () => {
+      const validate = (lines, done) => {
+        declare(new Application('/tmp/'), lines, (resource) => {
+          resource.validate((err) => done(err, resource))
+        })
+      }
+
+      it('should apply defaults', (done) => {
+        validate(['RESOURCE users sqs'], (err, resource) => {
+          if (err) return done(err)
+          equal(resource.settings.fifo, false)
+          equal(resource.settings.visibilityTimeout, 30)
+          equal(resource.settings.maxMessageSize, 256 * 1024)
+          done()
+        })
+      })
+
+      it('should convert typed values', (done) => {
+        validate(['RESOURCE users sqs -s fifo=true -s visibilityTimeout=5m -s maxMessageSize=64KB -s maxReceiveCount=3 -s deadLetterQueue=failed'], (err, resource) => {
+          if (err) return done(err)
+          equal(resource.settings.fifo, true)
+          equal(resource.settings.visibilityTimeout, 300)
+          equal(resource.settings.maxMessageSize, 64 * 1024)
+          equal(resource.settings.maxReceiveCount, 3)
+          done()
+        })
+      })
+
+      it('should resolve type aliases', (done) => {
+        validate(['RESOURCE users queue -s delay=1m'], (err, resource) => {
+          if (err) return done(err)
+          equal(resource.type, 'queue')
+          equal(resource.settings.delay, 60)
+          done()
+        })
+      })
+
+      it('should reject invalid typed values', (done) => {
+        validate(['RESOURCE users elasticsearch -s dedicatedMaster=maybe'], (err) => {
+          equal(err.code, 'invalid-resource-setting')
+          equal(err.column, 33)
+          done()
+        })
+      })
+
+      it('should reject values out of range', (done) => {
+        validate(['RESOURCE users sqs -s retention=30d'], (err) => {
+          equal(err.code, 'resource-setting-out-of-range')
+          done()
+        })
+      })
+
+      it('should reject unknown settings', (done) => {
+        validate(['RESOURCE users redis -s engine=innodb'], (err) => {
+          equal(err.code, 'unknown-resource-setting')
+          done()
+        })
+      })
+
+      it('should enforce cross-field requirements', (done) => {
+        validate(['RESOURCE users dynamodb -s hashKeyName=id -s hashKeyType=S -s rangeKeyName=created'], (err) => {
+          equal(err.code, 'missing-resource-setting')
+          assert.include(err.message, 'rangeKeyType')
+          done()
+        })
+      })
+    })
+  })
+})
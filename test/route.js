@@ -0,0 +1,163 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const Directive = require('../lib/directive')
+const Route = require('../lib/route')
+const Pattern = require('../lib/pattern')
+
+const register = (app, componentName, lines) => {
+  const component = { name: componentName, app, routes: [] }
+  lines.forEach((line, index) => {
+    new Directive(line, '/tmp/Noopfile', index + 1).parse((err, directive) => {
+      if (err) throw err
+      Route.register(app, component, directive, (err) => {
+        if (err) throw err
+      })
+    })
+  })
+  return component
+}
+
+/* global describe, it, beforeEach */
+describe('noop-discovery', () => {
+  describe('#Route', () => {
+    describe('match', () => {
+      let app
+
+      beforeEach(() => {
+        app = { routes: [] }
+        register(app, 'web', ['ROUTE /*'])
+        register(app, 'api', ['ROUTE -m GET /api/users/*', 'ROUTE /api/*'])
+        register(app, 'admin', ['ROUTE -p /admin/*'])
+      })
+
+      it('should match the most specific route first', () => {
+        const result = Route.match(app.routes, 'get', '/api/users/42')
+        equal(result.route.component.name, 'api')
+        equal(result.route.pattern, '/api/users/*')
+        assert.deepEqual(result.wildcards, ['42'])
+        equal(result.considered.length, 1)
+      })
+
+      it('should honour methods', () => {
+        const result = Route.match(app.routes, 'POST', '/api/users/42')
+        equal(result.route.pattern, '/api/*')
+        assert.deepEqual(result.wildcards, ['users/42'])
+        equal(result.considered[0].reason, "method 'POST' does not match 'GET'")
+      })
+
+      it('should preserve case in captured segments and ignore query strings', () => {
+        const result = Route.match(app.routes, 'GET', '/API/Users/AbC/?q=1')
+        assert.deepEqual(result.wildcards, ['AbC'])
+      })
+
+      it('should only match private routes for internal requests', () => {
+        let result = Route.match(app.routes, 'GET', '/admin/settings')
+        equal(result.route.component.name, 'web')
+        const explained = result.considered.find((considered) => considered.route.pattern === '/admin/*')
+        equal(explained.reason, 'route is private')
+        result = Route.match(app.routes, 'GET', '/admin/settings', { internal: true })
+        equal(result.route.component.name, 'admin')
+      })
+
+      it('should evaluate conditions', () => {
+        register(app, 'beta', ['ROUTE -m GET -c "header.x-beta == 1 or query.beta" /api/users/*'])
+        let result = Route.match(app.routes, 'GET', '/api/users/42', { headers: { 'x-beta': '1' } })
+        equal(result.route.component.name, 'beta')
+        result = Route.match(app.routes, 'GET', '/api/users/42?beta=yes')
+        equal(result.route.component.name, 'beta')
+        result = Route.match(app.routes, 'GET', '/api/users/42')
+        equal(result.route.component.name, 'api')
+        equal(result.considered[0].reason, 'condition \'header.x-beta == 1 or query.beta\' not satisfied')
+      })
+
+      it('should only report conflicts for identical conditions', () => {
+        register(app, 'beta', ['ROUTE -c header.x-beta /api/*'])
+        assert.throws(() => register(app, 'other', ['ROUTE -c "header.x-beta" /api/*']), /Route conflict/)
+        assert.throws(() => register(app, 'other', ['ROUTE /api/*']), /Route conflict/)
+      })
+
+      it('should yield no route when nothing matches', () => {
+        const result = Route.match(app.routes, 'GET', '/')
+        equal(result.route, null)
+        equal(result.considered.length, app.routes.length)
+      })
+
+      it('should capture named parameters', () => {
+        register(app, 'users', ['ROUTE -m GET /api/users/:id/posts/*'])
+        const result = Route.match(app.routes, 'GET', '/api/users/42/posts/1/comments')
+        equal(result.route.component.name, 'users')
+        assert.deepEqual(result.params, { id: '42' })
+        assert.deepEqual(result.wildcards, ['1/comments'])
+      })
+    })
+
+    describe('register', () => {
+      it('should compare normalized patterns', () => {
+        const app = { routes: [] }
+        register(app, 'web', ['ROUTE /Users'])
+        assert.throws(() => register(app, 'other', ['ROUTE /users/']), /Route conflict: '\/users\/' overlaps '\/Users'$/)
+        register(app, 'api', ['ROUTE /users/:id'])
+        assert.throws(() => register(app, 'other', ['ROUTE -m GET /users/:name']), /Route conflict/)
+      })
+
+      it('should conflict when either method is ALL', () => {
+        const app = { routes: [] }
+        register(app, 'api', ['ROUTE -m GET /api/*', 'ROUTE -m POST /api/*'])
+        assert.throws(() => register(app, 'other', ['ROUTE /api/*']), /Route conflict/)
+        equal(app.routes.length, 2)
+      })
+    })
+
+    describe('analyze', () => {
+      it('should order partial wildcards behind the routes they cover', () => {
+        const app = { routes: [] }
+        register(app, 'web', ['ROUTE /*b', 'ROUTE /a*', 'ROUTE /a*/*'])
+        const patterns = app.routes.map((route) => route.pattern)
+        assert.isBelow(patterns.indexOf('/a*/*'), patterns.indexOf('/a*'))
+        assert.deepEqual(Route.analyze(app.routes), [])
+      })
+
+      it('should report shadowed routes', () => {
+        const general = register({ routes: [] }, 'api', ['ROUTE /api/*']).routes[0]
+        const specific = register({ routes: [] }, 'api', ['ROUTE -m GET /api/:version', 'ROUTE -m GET -c query.beta /api/users']).routes
+        const warnings = Route.analyze([general].concat(specific))
+        equal(warnings.length, 2)
+        equal(warnings[0].code, 'route-shadowed')
+        assert.deepEqual(warnings.map((warning) => warning.line), [2, 1])
+        assert.deepEqual(warnings[0].related, [{ file: '/tmp/Noopfile', line: 1 }])
+        assert.include(warnings[0].message, "Route '/api/users' is shadowed by '/api/*'")
+        assert.notInclude(warnings[0].message, '/tmp/Noopfile')
+      })
+
+      it('should report overlaps across components', () => {
+        const app = { routes: [] }
+        register(app, 'web', ['ROUTE /files/*.png'])
+        register(app, 'cdn', ['ROUTE /files/images/*', 'ROUTE -c header.x-cdn /files/*'])
+        const warnings = Route.analyze(app.routes)
+        equal(warnings.length, 1)
+        equal(warnings[0].code, 'route-overlap')
+        assert.include(warnings[0].message, "component 'web' overlaps '/files/images/*'")
+      })
+
+      it('should accept routes a more specific route carves out', () => {
+        const app = { routes: [] }
+        register(app, 'web', ['ROUTE /*'])
+        register(app, 'api', ['ROUTE -m GET /api/users/:id', 'ROUTE /api/*'])
+        register(app, 'admin', ['ROUTE -p /admin/*'])
+        assert.deepEqual(Route.analyze(app.routes), [])
+      })
+    })
+  })
+
+  describe('#Pattern', () => {
+    it('should detect coverage and overlap', () => {
+      const pattern = (source) => new Pattern(source)
+      equal(pattern('/api/*').covers(pattern('/api/:id')), true)
+      equal(pattern('/api/:id').covers(pattern('/api/*')), false)
+      equal(pattern('/*/users').covers(pattern('/api/users')), true)
+      equal(pattern('/a*').overlaps(pattern('/*b')), true)
+      equal(pattern('/a*').covers(pattern('/*b')), false)
+      equal(pattern('/api/:id').overlaps(pattern('/api/users/:id')), false)
+    })
+  })
+})
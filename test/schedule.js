@@ -0,0 +1,99 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+const Application = require('../lib/app')
+const schedule = require('../lib/schedule')
+const validate = require('../lib/schema')
+
+/* global describe, it, beforeEach, afterEach */
+describe('noop-discovery', () => {
+  describe('#schedule', () => {
+    let root
+
+    const discover = (lines, options) => {
+      fs.writeFileSync(path.join(root, 'Noopfile'), lines.join('\n'))
+      return discovery.discover(root, options)
+    }
+
+    const cron = (pattern, timezone = null) => {
+      const [minute, hour, day, month, weekday] = pattern.split(' ')
+      return { minute, hour, day, month, weekday, timezone }
+    }
+
+    const iso = (dates) => dates.map((date) => date.toISOString())
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-schedule-')) + '/'
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should compute the next run times', () => {
+      const from = new Date('2026-03-28T12:00:00Z')
+      assert.deepEqual(iso(schedule.next(cron('*/15 9-17 * * mon-fri'), 3, from)), [
+        '2026-03-30T09:00:00.000Z',
+        '2026-03-30T09:15:00.000Z',
+        '2026-03-30T09:30:00.000Z'
+      ])
+      assert.deepEqual(iso(schedule.next(cron('0 9 1 * 1'), 2, from)), [
+        '2026-03-30T09:00:00.000Z',
+        '2026-04-01T09:00:00.000Z'
+      ])
+      // clocks go forward at 02:00 on March 29th in Berlin
+      assert.deepEqual(iso(schedule.next(cron('30 2 * * *', 'Europe/Berlin'), 2, from)), [
+        '2026-03-30T00:30:00.000Z',
+        '2026-03-31T00:30:00.000Z'
+      ])
+      assert.deepEqual(iso(schedule.next(cron('0 12 * mar,April fri-7'), 3, from)), [
+        '2026-03-29T12:00:00.000Z',
+        '2026-04-03T12:00:00.000Z',
+        '2026-04-04T12:00:00.000Z'
+      ])
+      assert.deepEqual(schedule.next(cron('0 0 30 2 *'), 1, from), [])
+    })
+
+    it('should describe schedules', () => {
+      equal(schedule.describe(cron('0 3 * * *')), 'At 03:00 (UTC)')
+      equal(schedule.describe(cron('0 9,17 1 jan,jul *', 'Europe/Berlin')), 'At 09:00 and 17:00 on day 1 of the month in January and July (Europe/Berlin)')
+      equal(schedule.describe(cron('*/15 9-17 * * 1-5')), 'Every 15 minutes past hour 9 through 17 on Monday through Friday (UTC)')
+      equal(schedule.describe(cron('5 */2 * * 7')), 'At minute 5 past every 2nd hour on Sunday (UTC)')
+      equal(schedule.describe(cron('* * * * *')), 'Every minute (UTC)')
+    })
+
+    it('should validate CRON and LIFECYCLE of tasks', async () => {
+      const app = await discover([
+        'COMPONENT report task',
+        'CRON 0 3 * * * -z europe/berlin',
+        'COMPONENT cleanup task',
+        'CRON 0 0 30 2 *',
+        'LIFECYCLE after-deploy'
+      ], { diagnostics: true })
+      const report = app.components.report
+      assert.deepEqual(report.settings.cron, { minute: 0, hour: 3, day: '*', month: '*', weekday: '*', timezone: 'Europe/Berlin', description: 'At 03:00 (Europe/Berlin)' })
+      assert.deepEqual(iso(report.nextRuns(2, new Date('2026-07-01T12:00:00Z'))), ['2026-07-02T01:00:00.000Z', '2026-07-03T01:00:00.000Z'])
+      assert.deepEqual(app.components.cleanup.settings.lifecycles, ['after-deploy'])
+      assert.deepEqual(app.diagnostics.map((diagnostic) => `${diagnostic.line} ${diagnostic.severity} ${diagnostic.code}`), ['4 warning schedule-never-runs'])
+      const model = app.toJSON()
+      assert.deepEqual(validate(model), [])
+      equal(Application.fromJSON(model).components.report.nextRuns(1, new Date('2026-07-01T12:00:00Z'))[0].toISOString(), '2026-07-02T01:00:00.000Z')
+      const invalid = await discover([
+        'COMPONENT report task',
+        'CRON 0 3 * * * --timezone Mars/Olympus',
+        'LIFECYCLE before-build',
+        'CRON 0 25 * * *'
+      ], { diagnostics: true })
+      assert.deepEqual(invalid.diagnostics.map((diagnostic) => `${diagnostic.line}:${diagnostic.column} ${diagnostic.code}`), [
+        '2:27 invalid-value',
+        '3:11 invalid-value',
+        '4:6 invalid-schedule'
+      ])
+      assert.include(invalid.diagnostics[0].message, 'invalid timezone')
+      assert.include(invalid.diagnostics[1].message, "'before-build' is not a valid value for 'lifecycle'")
+    })
+  })
+})
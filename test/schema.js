@@ -0,0 +1,76 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+const validate = require('../lib/schema')
+
+/* global describe, it, before, after */
+describe('noop-discovery', () => {
+  describe('#schema', () => {
+    let root, model
+
+    before(async () => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-schema-')) + '/'
+      fs.writeFileSync(path.join(root, 'Noopfile'), [
+        'COMPONENT api service',
+        'FROM node:12',
+        'ENV LOG_LEVEL info',
+        'ENV PORT 8080',
+        'EXPOSE 8080',
+        'HEALTHCHECK -i 10 -r 3 HTTP /health',
+        'CPU 0.5',
+        'MEMORY 512',
+        'ROUTE -c header.x-beta /api/*',
+        'ROUTE -m GET -p /api/users/:id',
+        'RESOURCE users mysql -s storage=40GB',
+        'RESOURCE cache',
+        'COMPONENT cleanup task',
+        'FROM node:12',
+        'LIFECYCLE before-deploy',
+        'CRON 0 3 * * *',
+        'RESOURCE users',
+        'COMPONENT web static',
+        'FROM nginx',
+        'ROUTE /*'
+      ].join('\n'))
+      model = (await discovery.discover(root, { diagnostics: true })).toJSON()
+    })
+
+    after(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should describe the toJSON() model', () => {
+      equal(model.schemaVersion, validate.version)
+      equal(model.components.length, 3)
+      assert.deepEqual(validate(model), [])
+      equal(discovery.schema, validate.schema)
+    })
+
+    it('should report where a model breaks the contract', () => {
+      const broken = JSON.parse(JSON.stringify(model))
+      delete broken.components[0].name
+      broken.routes[0].method = 'FETCH'
+      broken.resources[0].extra = true
+      broken.schemaVersion = '0.1.0'
+      assert.sameDeepMembers(validate(broken), [
+        { path: '/schemaVersion', message: 'must match ^1\\.\\d+\\.\\d+$' },
+        { path: '/components/0/name', message: 'is required' },
+        { path: '/routes/0/method', message: 'must be one of "GET", "HEAD", "POST", "PUT", "DELETE", "CONNECT", "OPTIONS", "TRACE", "PATCH", "ALL"' },
+        { path: '/resources/0/extra', message: 'is not allowed' }
+      ])
+    })
+
+    it('should check values against other schemas', () => {
+      const definition = {
+        type: 'object',
+        properties: { size: { anyOf: [{ type: 'integer', minimum: 1 }, { type: 'string', pattern: '^\\d+GB$' }] } }
+      }
+      assert.deepEqual(validate({ size: '10GB' }, definition), [])
+      assert.deepEqual(validate({ size: 0 }, definition), [{ path: '/size', message: 'does not match any of the allowed schemas' }])
+      assert.deepEqual(validate([], definition), [{ path: '/', message: 'must be of type object' }])
+    })
+  })
+})
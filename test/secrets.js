@@ -0,0 +1,82 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+const secrets = require('../lib/secrets')
+const validate = require('../lib/schema')
+
+/* global describe, it, beforeEach, afterEach */
+describe('noop-discovery', () => {
+  describe('#secrets', () => {
+    let root
+
+    const discover = (lines, options) => {
+      fs.writeFileSync(path.join(root, 'Noopfile'), lines.join('\n'))
+      return discovery.discover(root, options)
+    }
+
+    const lines = [
+      'COMPONENT api service',
+      'FROM node:12',
+      'ENV LOG_LEVEL info',
+      'ENV -s DB_PASSWORD topsecret',
+      'ENV -s API_KEY',
+      'ENV STRIPE_TOKEN secret://stripe-token',
+      'ENV DB_URL mysql://app:${DB_PASSWORD}@db/app',
+      'CMD ["node", "index.js"]'
+    ]
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-secrets-')) + '/'
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should keep secret values out of the model and the Dockerfile', async () => {
+      const app = await discover(lines, { diagnostics: true })
+      const api = app.components.api
+      assert.deepEqual(api.variables.DB_PASSWORD, { default: secrets.REDACTED, secret: true, source: null })
+      assert.deepEqual(api.variables.API_KEY, { default: null, secret: true, source: null })
+      assert.deepEqual(api.variables.STRIPE_TOKEN, { default: null, secret: true, source: 'secret://stripe-token' })
+      equal(api.variables.DB_URL.value, 'mysql://app:${DB_PASSWORD}@db/app')
+      equal(api.dockerfile, 'FROM node:12\nENV LOG_LEVEL info\nCMD ["node", "index.js"]\n')
+      const model = app.toJSON()
+      assert.notInclude(JSON.stringify(model), 'topsecret')
+      assert.deepEqual(validate(model), [])
+      assert.deepEqual(app.diagnostics.map((diagnostic) => `${diagnostic.line}:${diagnostic.column} ${diagnostic.severity} ${diagnostic.code}`), [
+        '4:20 warning secret-literal-default'
+      ])
+    })
+
+    it('should require a default for other variables', async () => {
+      let err = await discover(['COMPONENT api service', 'ENV LOG_LEVEL']).catch((err) => err)
+      equal(err.code, 'missing-required')
+      assert.include(err.message, "'defaultValue' is required unless 'secret' is set")
+      err = await discover(lines, { strict: true }).catch((err) => err)
+      equal(err.code, 'secret-literal-default')
+    })
+
+    it('should read secret values from a local file for compose', async () => {
+      const file = path.join(root, '.env.secrets')
+      fs.writeFileSync(file, [
+        '# local development only',
+        'export DB_PASSWORD=hunter2',
+        'stripe-token="sk_test_1"',
+        'IGNORED'
+      ].join('\n'))
+      const app = await discover(lines, { secrets: file })
+      const environment = app.compose().services.api.environment
+      equal(environment.DB_PASSWORD, 'hunter2')
+      equal(environment.STRIPE_TOKEN, 'sk_test_1')
+      equal(environment.API_KEY, null)
+      equal(environment.LOG_LEVEL, 'info')
+      assert.deepEqual(secrets.parse("A = 'x y'\nB=\"a\\nb\"\n#C=1"), { A: 'x y', B: 'a\nb' })
+      equal(secrets.name('secret://stripe/token'), 'stripe/token')
+      equal(secrets.name('secret:/nope'), null)
+    })
+  })
+})
@@ -0,0 +1,121 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discovery = require('../index')
+const Application = require('../lib/app')
+const validate = require('../lib/schema')
+
+/* global describe, it, beforeEach, afterEach */
+describe('noop-discovery', () => {
+  describe('#static', () => {
+    let root
+
+    const write = (file, contents) => {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true })
+      fs.writeFileSync(path.join(root, file), contents)
+    }
+
+    const discover = (lines, options) => {
+      write('Noopfile', lines.join('\n'))
+      return discovery.discover(root, options)
+    }
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-static-')) + '/'
+      write('dist/index.html', '<html></html>')
+      write('dist/app.3f2a.js', 'console.log(1)')
+      write('dist/app.3f2a.js.map', '{}')
+      write('dist/css/site.css', 'body {}')
+      write('public/robots.txt', '')
+    })
+
+    afterEach(() => {
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should list the files in the content directory', async () => {
+      const app = await discover([
+        'COMPONENT web static',
+        'STATIC dist --fallback index.html --cache-control "public, max-age=300"',
+        'ROUTE /*'
+      ])
+      const web = app.components.web
+      assert.deepEqual(web.settings, { contentDirectory: 'dist', fallback: 'index.html', cacheControl: 'public, max-age=300' })
+      assert.deepEqual(web.assets.map((asset) => asset.path), ['dist/app.3f2a.js', 'dist/app.3f2a.js.map', 'dist/css/site.css', 'dist/index.html'])
+      assert.deepEqual(web.assets[3], {
+        path: 'dist/index.html',
+        size: 13,
+        hash: crypto.createHash('sha256').update('<html></html>').digest('hex'),
+        cacheControl: 'public, max-age=300'
+      })
+      const model = app.toJSON()
+      assert.deepEqual(validate(model), [])
+      assert.deepEqual(Application.fromJSON(model).toJSON(), model)
+    })
+
+    it('should resolve ASSETS patterns', async () => {
+      const app = await discover([
+        'COMPONENT web static',
+        'STATIC dist',
+        'ASSETS dist/',
+        'ASSETS !*.map',
+        'ASSETS dist/app.*.js --cache-control "public, max-age=31536000, immutable"',
+        'ASSETS public/*.txt'
+      ])
+      const assets = {}
+      app.components.web.assets.forEach((asset) => { assets[asset.path] = asset.cacheControl })
+      assert.deepEqual(assets, {
+        'dist/app.3f2a.js': 'public, max-age=31536000, immutable',
+        'dist/css/site.css': null,
+        'dist/index.html': null,
+        'public/robots.txt': null
+      })
+    })
+
+    it('should leave out ignored files', async () => {
+      write('.gitignore', '*.map\n')
+      write('dist/.noopignore', 'css/\n')
+      write('dist/vendor/lib.js', '')
+      const app = await discover(['COMPONENT web static', 'STATIC dist', 'ASSETS dist/', 'ASSETS public/*.txt'], { ignore: ['dist/vendor/', 'public/'], diagnostics: true })
+      assert.deepEqual(app.components.web.assets.map((asset) => asset.path), ['dist/app.3f2a.js', 'dist/index.html'])
+      assert.deepEqual(app.diagnostics.map((diagnostic) => `${diagnostic.line} ${diagnostic.code}`), ['4 unmatched-assets'])
+    })
+
+    it('should reject patterns outside the component root', async () => {
+      const err = await discover(['COMPONENT site static', 'ASSETS ../*.js']).catch((err) => err)
+      equal(err.code, 'invalid-assets-pattern')
+      equal(err.message, "ASSETS pattern '../*.js' is outside component 'site'")
+      write('web/Noopfile', ['COMPONENT web static', 'STATIC ../dist', 'ASSETS ../dist/*.js', 'ASSETS !css/../../public/'].join('\n'))
+      const app = await discover(['COMPONENT site static', 'ASSETS public/'], { diagnostics: true })
+      assert.sameMembers(app.diagnostics.map((diagnostic) => `${diagnostic.line}:${diagnostic.column} ${diagnostic.code}`), [
+        '2:8 invalid-content-directory',
+        '3:8 invalid-assets-pattern',
+        '4:8 invalid-assets-pattern'
+      ])
+      assert.deepEqual(app.components.web.assets, [])
+    })
+
+    it('should report patterns matching nothing', async () => {
+      const app = await discover([
+        'COMPONENT web static',
+        'STATIC build --fallback index.html',
+        'ASSETS dist/*.png',
+        'ASSETS **/*.css',
+        'COMPONENT admin static',
+        'STATIC dist -f 404.html'
+      ], { diagnostics: true })
+      assert.sameMembers(app.diagnostics.map((diagnostic) => `${diagnostic.line}:${diagnostic.column} ${diagnostic.code}`), [
+        '2:8 missing-content-directory',
+        '3:8 unmatched-assets',
+        '6:16 missing-fallback'
+      ])
+      assert.deepEqual(app.components.web.assets.map((asset) => asset.path), ['dist/css/site.css'])
+      const err = await discover(['COMPONENT web static', 'ASSETS *.gif']).catch((err) => err)
+      equal(err.code, 'unmatched-assets')
+      equal(err.message, "ASSETS pattern '*.gif' matches no files")
+    })
+  })
+})
@@ -0,0 +1,89 @@
+const assert = require('chai').assert
+const equal = assert.equal
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const Application = require('../lib/app')
+
+const manifest = (name) => [
+  `COMPONENT ${name} service`,
+  'FROM node:12',
+  'ROUTE /api/*'
+].join('\n')
+
+/* global describe, it, beforeEach, afterEach */
+describe('noop-discovery', () => {
+  describe('#Watcher', () => {
+    let root, app
+
+    beforeEach((done) => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'noop-watch-')) + '/'
+      fs.mkdirSync(path.join(root, 'api'))
+      fs.writeFileSync(path.join(root, 'api', 'Noopfile'), manifest('api'))
+      fs.writeFileSync(path.join(root, 'api', 'index.js'), '')
+      app = new Application(root)
+      app.discover((err) => {
+        if (err) return done(err)
+        app.watch({ debounce: 20 })
+        done()
+      })
+    })
+
+    afterEach(() => {
+      app.unwatch()
+      fs.rmdirSync(root, { recursive: true })
+    })
+
+    it('should emit manifestChange and re-parse the manifest', (done) => {
+      app.once('manifestChange', (file) => {
+        equal(file, path.join(root, 'api', 'Noopfile'))
+        equal(app.components.api, undefined)
+        equal(app.components.users.name, 'users')
+        equal(app.routes.length, 1)
+        equal(app.routes[0].component.name, 'users')
+        done()
+      })
+      fs.writeFileSync(path.join(root, 'api', 'Noopfile'), manifest('users'))
+    })
+
+    it('should emit componentChange', (done) => {
+      app.once('componentChange', (componentName, file) => {
+        equal(componentName, 'api')
+        equal(file, path.join(root, 'api', 'index.js'))
+        done()
+      })
+      fs.writeFileSync(path.join(root, 'api', 'index.js'), 'console.log()')
+    })
+
+    it('should emit manifestAdded for new Noopfiles', (done) => {
+      app.once('manifestAdded', (file) => {
+        equal(file, path.join(root, 'web', 'Noopfile'))
+        equal(app.manifests.length, 2)
+        equal(app.components.web.name, 'web')
+        done()
+      })
+      fs.mkdirSync(path.join(root, 'web'))
+      setTimeout(() => {
+        fs.writeFileSync(path.join(root, 'web', 'Noopfile'), manifest('web').replace('/api/*', '/'))
+      }, 50)
+    })
+
+    it('should emit manifestRemoved', (done) => {
+      app.once('manifestRemoved', (file) => {
+        equal(app.manifests.length, 0)
+        equal(Object.keys(app.components).length, 0)
+        equal(app.routes.length, 0)
+        done()
+      })
+      fs.unlinkSync(path.join(root, 'api', 'Noopfile'))
+    })
+
+    it('should emit error on invalid manifest', (done) => {
+      app.once('error', (err) => {
+        equal(err.name, 'DirectiveError')
+        done()
+      })
+      fs.writeFileSync(path.join(root, 'api', 'Noopfile'), 'COMPONENT api')
+    })
+  })
+})